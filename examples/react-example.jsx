@@ -1,22 +1,26 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { createStreamingParser } from 'llm-json-validator';
+import React, { useState, useCallback } from 'react';
+import { useStreamingJson } from 'llm-json-validator/react';
+
+/**
+ * Simulates a response body that arrives in chunks, like one from an LLM API.
+ * With a real API, pass the fetch Response to useStreamingJson instead.
+ */
+const simulatedStream = (chunks, delay) => new ReadableStream({
+  async pull(controller) {
+    if (chunks.length === 0) return controller.close();
+    await new Promise(resolve => setTimeout(resolve, delay));
+    controller.enqueue(chunks.shift());
+  }
+});
 
 // Example React component for streaming LLM responses
 function StreamingChatComponent() {
-  const [response, setResponse] = useState(null);
-  const [isStreaming, setIsStreaming] = useState(false);
-  const [parser] = useState(() => createStreamingParser({ 
-    returnParsedJson: true,
-    balanceQuotes: true 
-  }));
+  const [source, setSource] = useState(null);
+  const { data: response, isStreaming, error } = useStreamingJson(source, { repair: true });
 
   // Simulate streaming from an LLM API
   const simulateStreaming = useCallback(() => {
-    setIsStreaming(true);
-    parser.reset(); // Reset parser for new stream
-
-    // Simulate chunks coming from an LLM API
-    const chunks = [
+    setSource(simulatedStream([
       '{"message": "',
       'Hello! I can help you with ',
       'various tasks like coding, ',
@@ -28,63 +32,21 @@ function StreamingChatComponent() {
       '], "timestamp": "',
       new Date().toISOString(),
       '", "ready": true}'
-    ];
-
-    let index = 0;
-    const interval = setInterval(() => {
-      if (index < chunks.length) {
-        const chunk = chunks[index];
-        const currentData = parser.appendChunk(chunk);
-        
-        // Update state with the current parsed data
-        if (typeof currentData === 'object') {
-          setResponse(currentData);
-        }
-        
-        index++;
-      } else {
-        clearInterval(interval);
-        setIsStreaming(false);
-      }
-    }, 200); // Send a chunk every 200ms
-
-    return () => clearInterval(interval);
-  }, [parser]);
+    ], 200)); // Send a chunk every 200ms
+  }, []);
 
   // Simulate error handling and recovery
   const handleErrorRecovery = useCallback(() => {
-    setIsStreaming(true);
-    parser.reset();
-
-    // Simulate a malformed stream that gets corrected
-    const chunks = [
-      '{"status": "processing',  // Missing quote
-      '", "data": {',
+    // Simulate a stream written by a model that forgets JSON rules
+    setSource(simulatedStream([
+      "{'status': 'processing',",  // Single quotes
+      ' data: {',  // Unquoted key
       '"progress": 0.5,',
-      ' "message": "Working on it...',  // Another missing quote
-      '", "eta": "2 minutes"',
+      ' "message": "Working on it...",',
+      ' "eta": "2 minutes",',  // Trailing comma
       '}}'
-    ];
-
-    let index = 0;
-    const interval = setInterval(() => {
-      if (index < chunks.length) {
-        const chunk = chunks[index];
-        const currentData = parser.appendChunk(chunk);
-        
-        if (typeof currentData === 'object') {
-          setResponse(currentData);
-        }
-        
-        index++;
-      } else {
-        clearInterval(interval);
-        setIsStreaming(false);
-      }
-    }, 300);
-
-    return () => clearInterval(interval);
-  }, [parser]);
+    ], 300));
+  }, []);
 
   return (
     <div style={{ maxWidth: '600px', margin: '0 auto', padding: '20px' }}>
@@ -134,6 +96,17 @@ function StreamingChatComponent() {
         </div>
       )}
 
+      {error && (
+        <div style={{ 
+          padding: '10px', 
+          backgroundColor: '#f8d7da', 
+          borderRadius: '5px',
+          marginBottom: '20px'
+        }}>
+          <strong>Error:</strong> {error.message}
+        </div>
+      )}
+
       {response && (
         <div style={{ 
           border: '1px solid #ddd', 
@@ -217,7 +190,7 @@ function StreamingChatComponent() {
         <ul>
           <li>The parser receives streaming chunks from an LLM API</li>
           <li>Each chunk is automatically balanced and parsed</li>
-          <li>React state is updated with valid JSON objects in real-time</li>
+          <li>useStreamingJson re-renders with the partial value at most once per frame</li>
           <li>Missing quotes and brackets are automatically handled</li>
           <li>No need to manually call JSON.parse() - you get ready-to-use objects!</li>
         </ul>
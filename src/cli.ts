@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+import { createReadStream } from 'fs';
+import { JsonParseError } from './errors';
+import { JsonParserConfig, PartialResult, validateStreamingJson } from './index';
+import { createChunkReader } from './streams';
+
+const USAGE = `Usage: llm-json [repair|watch] [file] [options]
+
+Completes possibly truncated JSON, such as model output cut off mid-stream,
+and prints it as valid JSON. Reads standard input when no file (or -) is given.
+
+Commands:
+  repair         Read the whole input, then print the repaired JSON (default)
+  watch          Print a snapshot for each chunk as it arrives, then the final value
+
+Options:
+  -p, --pretty   Indent the output by two spaces
+  -r, --report   Print the repairs made to standard error
+  -s, --stream   Same as the watch command
+  -e, --extract  Find the JSON in surrounding prose or a markdown code fence
+  -l, --lenient  Rewrite JSON5-style input (single quotes, comments, True/None) into strict JSON
+  -h, --help     Show this help
+
+Exit codes: 0 when JSON was printed, 1 when the input is unrecoverable, 2 on a usage error.`;
+
+/**
+ * Where the command reads and writes; process in production, fakes in tests
+ */
+export interface CliIo {
+  stdin: AsyncIterable<string | Uint8Array>;
+  stdout: { write(text: string): unknown };
+  stderr: { write(text: string): unknown };
+}
+
+interface CliOptions {
+  stream: boolean;
+  pretty: boolean;
+  report: boolean;
+  file: string | null;
+  config: JsonParserConfig;
+}
+
+const FLAGS: Record<string, 'pretty' | 'report' | 'stream' | 'extract' | 'lenient' | 'help'> = {
+  '-p': 'pretty',
+  '--pretty': 'pretty',
+  '-r': 'report',
+  '--report': 'report',
+  '-s': 'stream',
+  '--stream': 'stream',
+  '-e': 'extract',
+  '--extract': 'extract',
+  '-l': 'lenient',
+  '--lenient': 'lenient',
+  '-h': 'help',
+  '--help': 'help',
+};
+
+/**
+ * Reads the command line
+ * @returns Options, or null when help was asked for
+ */
+const parseArgs = (args: string[]): CliOptions | null => {
+  const options: CliOptions = { stream: false, pretty: false, report: false, file: null, config: {} };
+  const operands: string[] = [];
+
+  for (const arg of args) {
+    if (arg === '-' || !arg.startsWith('-')) {
+      operands.push(arg);
+      continue;
+    }
+    const flag = FLAGS[arg];
+    if (!flag) throw new Error(`Unknown option: ${arg}`);
+    if (flag === 'help') return null;
+    if (flag === 'extract') options.config.extractJson = true;
+    else if (flag === 'lenient') options.config.repair = true;
+    else options[flag] = true;
+  }
+
+  if (operands[0] === 'repair' || operands[0] === 'watch') {
+    if (operands.shift() === 'watch') options.stream = true;
+  }
+  if (operands.length > 1) throw new Error(`Unexpected argument: ${operands[1]}`);
+  if (operands.length === 1 && operands[0] !== '-') options.file = operands[0];
+  return options;
+};
+
+/**
+ * Describes what was changed to turn the input into valid JSON
+ */
+const describeRepairs = (result: PartialResult): string[] => {
+  const lines: string[] = [];
+  const pointers = (paths: string[]) => paths.map(path => JSON.stringify(path)).join(', ');
+
+  if (result.jsonOffset !== undefined && result.jsonOffset > 0) {
+    lines.push(`Found the JSON at offset ${result.jsonOffset}`);
+  }
+  if (!result.isComplete && result.incompletePaths.length > 0) {
+    lines.push(`Completed values cut off at the end of the input: ${pointers(result.incompletePaths)}`);
+  }
+  if (result.syntheticPaths.length > 0) {
+    lines.push(`Filled in placeholder values: ${pointers(result.syntheticPaths)}`);
+  }
+  for (const repair of result.repairs || []) {
+    lines.push(`${repair.description} (offset ${repair.position})`);
+  }
+  if (lines.length === 0) lines.push('No repairs needed');
+  return lines;
+};
+
+/**
+ * Runs the command
+ * @param args Arguments after the program name
+ * @param io Standard streams to use
+ * @returns Exit code
+ */
+export const run = async (args: string[], io: CliIo): Promise<number> => {
+  let options: CliOptions | null;
+  try {
+    options = parseArgs(args);
+  } catch (error) {
+    io.stderr.write(`llm-json: ${(error as Error).message}\n${USAGE}\n`);
+    return 2;
+  }
+  if (!options) {
+    io.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+
+  const { stream, pretty, report, file } = options;
+  const input: AsyncIterable<string | Uint8Array> = file ? createReadStream(file) : io.stdin;
+  const format = (value: unknown) => JSON.stringify(value, null, pretty ? 2 : undefined);
+
+  // Text that does not parse comes back as the balanced string, with the reason passed to onDiagnostic
+  let failure = null as JsonParseError | null;
+  const config: JsonParserConfig = {
+    ...options.config,
+    returnParsedJson: true,
+    includeMetadata: true,
+    onDiagnostic: error => { failure = error; },
+  };
+
+  let last: PartialResult | null = null;
+  let printed = '';
+  const show = (result: PartialResult | null) => {
+    if (!result || result.jsonOffset === -1) return;
+    if (failure) {
+      // Nothing but whitespace so far
+      if (typeof result.value === 'string' && !result.value.trim()) {
+        failure = null;
+        return;
+      }
+      throw failure;
+    }
+    last = result;
+    // In watch mode, chunks that only add whitespace would print the same snapshot again
+    const text = format(result.value);
+    if (text !== printed) io.stdout.write(`${text}\n`);
+    printed = text;
+  };
+
+  try {
+    if (stream) {
+      const reader = createChunkReader(config);
+      for await (const chunk of input) show(reader.write(chunk));
+      show(reader.end());
+    } else {
+      const decoder = new TextDecoder('utf-8');
+      let text = '';
+      for await (const chunk of input) {
+        text += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+      }
+      text += decoder.decode();
+      show(validateStreamingJson(text, config));
+    }
+  } catch (error) {
+    if (error instanceof JsonParseError) {
+      io.stderr.write(`llm-json: unrecoverable JSON: ${error.message}\n`);
+    } else {
+      io.stderr.write(`llm-json: cannot read ${file || 'standard input'}: ${(error as Error).message}\n`);
+    }
+    return 1;
+  }
+
+  if (!last) {
+    io.stderr.write('llm-json: no JSON found in the input\n');
+    return 1;
+  }
+  if (report) io.stderr.write(describeRepairs(last).map(line => `${line}\n`).join(''));
+  return 0;
+};
+
+if (require.main === module) {
+  run(process.argv.slice(2), process).then(code => {
+    process.exitCode = code;
+  });
+}
@@ -0,0 +1,216 @@
+import { formatJsonPointer } from './path';
+import { SchemaViolation } from './schema';
+import { JsonTokenizer, LimitBreach, ResourceLimits } from './tokenizer';
+
+/** Characters of context kept on each side of the error offset */
+const SNIPPET_RADIUS = 20;
+
+/**
+ * Base class for errors about JSON that could not be parsed
+ */
+export class JsonParseError extends Error {
+  /** Offset in the text where the problem was found */
+  readonly offset: number;
+  /** 1-based line of offset */
+  readonly line: number;
+  /** 1-based column of offset */
+  readonly column: number;
+  /** JSON Pointer of the value being read at offset */
+  readonly path: string;
+  /** Text around offset */
+  readonly snippet: string;
+
+  /**
+   * @param message Description of the problem
+   * @param text The text that failed to parse
+   * @param offset Where in text the problem was found
+   * @param path JSON Pointer of the value at fault, when known better than from offset
+   */
+  constructor(message: string, text: string, offset: number, path?: string) {
+    const before = text.slice(0, offset);
+    const lines = before.split('\n');
+    const line = lines.length;
+    const column = lines[lines.length - 1].length + 1;
+
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = new.target.name;
+    this.offset = offset;
+    this.line = line;
+    this.column = column;
+
+    if (path === undefined) {
+      const tokenizer = new JsonTokenizer('both');
+      tokenizer.write(before);
+      path = formatJsonPointer(tokenizer.getPath());
+    }
+    this.path = path;
+    this.snippet = text.slice(Math.max(0, offset - SNIPPET_RADIUS), offset + SNIPPET_RADIUS);
+  }
+}
+
+/**
+ * The input ended before the JSON document was complete
+ */
+export class IncompleteJsonError extends JsonParseError {}
+
+/**
+ * The input could not be turned into valid JSON, even after completion
+ */
+export class UnrecoverableJsonError extends JsonParseError {}
+
+/**
+ * A value broke the configured schema, or can no longer satisfy it
+ */
+export class SchemaValidationError extends JsonParseError {
+  /** Schema keyword that failed, such as 'type' or 'additionalProperties' */
+  readonly keyword: string;
+
+  /**
+   * @param violation The broken rule
+   * @param text The JSON text received so far
+   * @param offset Where the offending value starts in text
+   */
+  constructor(violation: SchemaViolation, text: string, offset: number) {
+    super(violation.message, text, offset, violation.path);
+    this.keyword = violation.keyword;
+  }
+}
+
+const LIMIT_MESSAGES: Record<keyof ResourceLimits, (max: number) => string> = {
+  maxDepth: max => `Nesting deeper than ${max} levels`,
+  maxSize: max => `Input larger than ${max} bytes`,
+  maxStringLength: max => `String longer than ${max} characters`,
+  maxArrayLength: max => `Array longer than ${max} items`,
+  maxKeys: max => `Object with more than ${max} keys`,
+};
+
+/**
+ * The input went past a configured resource limit
+ */
+export class LimitExceededError extends JsonParseError {
+  /** The limit that was exceeded, such as 'maxDepth' */
+  readonly limit: keyof ResourceLimits;
+  /** Configured value of the limit */
+  readonly max: number;
+
+  /**
+   * @param breach Where the limit was exceeded
+   * @param text The JSON text consumed up to that point
+   */
+  constructor(breach: LimitBreach, text: string) {
+    super(LIMIT_MESSAGES[breach.limit](breach.max), text, breach.offset, formatJsonPointer(breach.path));
+    this.limit = breach.limit;
+    this.max = breach.max;
+  }
+}
+
+/** Thrown inside findSyntaxError to stop at the offending character */
+const STOP = {};
+
+const NUMBER = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+
+/**
+ * Finds the offset of the first character that makes `text` invalid JSON,
+ * or its length if the text ends too early. JSON.parse messages differ
+ * between engines and do not always include a position, so the text is
+ * scanned again here; this only happens once parsing has already failed.
+ */
+export const findSyntaxError = (text: string): number => {
+  let i = 0;
+
+  const expect = (condition: boolean) => {
+    if (!condition) throw STOP;
+  };
+  const skipWhitespace = () => {
+    while (i < text.length && ' \t\n\r'.indexOf(text[i]) !== -1) i++;
+  };
+
+  const readString = () => {
+    expect(text[i] === '"');
+    i++;
+    while (i < text.length) {
+      const char = text[i];
+      if (char === '"') {
+        i++;
+        return;
+      }
+      if (char === '\\') {
+        i++;
+        if (text[i] === 'u') {
+          for (let digit = 0; digit < 4; digit++) {
+            i++;
+            expect(/^[0-9a-fA-F]$/.test(text[i] || ''));
+          }
+        } else {
+          expect('"\\/bfnrt'.indexOf(text[i]) !== -1 && i < text.length);
+        }
+      } else {
+        expect(char >= ' ');
+      }
+      i++;
+    }
+    throw STOP;
+  };
+
+  const readValue = (): void => {
+    skipWhitespace();
+    const char = text[i];
+
+    if (char === '{' || char === '[') {
+      const closer = char === '{' ? '}' : ']';
+      i++;
+      skipWhitespace();
+      if (text[i] === closer) {
+        i++;
+        return;
+      }
+      for (;;) {
+        if (closer === '}') {
+          skipWhitespace();
+          readString();
+          skipWhitespace();
+          expect(text[i] === ':');
+          i++;
+        }
+        readValue();
+        skipWhitespace();
+        if (text[i] === ',') {
+          i++;
+          continue;
+        }
+        expect(text[i] === closer);
+        i++;
+        return;
+      }
+    }
+
+    if (char === '"') {
+      readString();
+      return;
+    }
+
+    const literal = ['true', 'false', 'null'].find(word => word[0] === char);
+    if (literal) {
+      for (const letter of literal) {
+        expect(text[i] === letter);
+        i++;
+      }
+      return;
+    }
+
+    NUMBER.lastIndex = i;
+    const number = NUMBER.exec(text);
+    expect(number !== null && number[0] !== '' && number[0] !== '-');
+    i += number![0].length;
+  };
+
+  try {
+    readValue();
+    skipWhitespace();
+    expect(i === text.length);
+  } catch (error) {
+    // Anything but STOP means the nesting was too deep to scan
+    if (error !== STOP) return text.length;
+  }
+  return Math.min(i, text.length);
+};
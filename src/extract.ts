@@ -0,0 +1,210 @@
+const isQuote = (char: string): boolean => char === '"' || char === "'";
+
+const LITERALS = ['true', 'false', 'null'];
+
+/** Bare words accepted after `[` when the JSON will be repaired */
+const LENIENT_LITERALS = [...LITERALS, 'True', 'False', 'None', 'NaN', 'Infinity'];
+
+/**
+ * Whether the text after an opening bracket starts a real JSON container, so
+ * brackets in prose such as "[see below]", "[note]" or "{name}" are skipped.
+ * Returns undefined while a literal or unquoted key is still being spelled out.
+ * @param opener The opening bracket
+ * @param rest Text after the bracket, without leading whitespace
+ * @param lenient Whether JSON5-style comments, unquoted keys and Python literals count
+ */
+const startsContainer = (opener: string, rest: string, lenient: boolean): boolean | undefined => {
+  if (!rest) return undefined;
+  if (lenient && rest[0] === '/') return rest.length === 1 ? undefined : rest[1] === '/' || rest[1] === '*';
+  if (opener === '{') {
+    if (rest[0] === '}' || isQuote(rest[0])) return true;
+    if (!lenient) return false;
+    if (/^[A-Za-z_$][\w$]*\s*:/.test(rest)) return true;
+    return /^[A-Za-z_$][\w$]*\s*$/.test(rest) ? undefined : false;
+  }
+  if (/^[[\]{"'\-0-9]/.test(rest)) return true;
+
+  const literal = (lenient ? LENIENT_LITERALS : LITERALS).find(word => word[0] === rest[0]);
+  if (!literal) return false;
+  if (rest.length >= literal.length) return rest.startsWith(literal);
+  return literal.startsWith(rest) ? undefined : false;
+};
+
+/**
+ * Scanning state of a JsonExtractor, as plain data
+ */
+export interface ExtractorState {
+  offset: number;
+  consumed: number;
+  candidate: string;
+  candidateStart: number;
+  stack: string[];
+  inString: boolean;
+  stringChar: string;
+  escaped: boolean;
+  closed: boolean;
+  slash: boolean;
+  comment: '' | 'line' | 'block';
+  star: boolean;
+}
+
+/**
+ * Finds the first JSON object or array in streamed text and passes only that
+ * text on. Leading prose and an opening markdown fence are skipped, and
+ * anything after the value closes (commentary, the closing fence) is ignored.
+ */
+export class JsonExtractor {
+  /** Offset in the raw stream where the JSON begins, or -1 until it is found */
+  offset: number = -1;
+  private consumed: number = 0;
+  /** A possible opening bracket, held until the next significant character shows whether JSON starts there */
+  private candidate: string = '';
+  private candidateStart: number = -1;
+  /** Open brackets of the value, innermost last */
+  private stack: string[] = [];
+  private inString: boolean = false;
+  private stringChar: string = '';
+  private escaped: boolean = false;
+  private closed: boolean = false;
+  private slash: boolean = false;
+  private comment: '' | 'line' | 'block' = '';
+  private star: boolean = false;
+
+  /**
+   * Consumes raw text and returns the part of it that belongs to the JSON value
+   * @param lenient Whether to accept JSON5-style input that will be repaired
+   */
+  write(chunk: string, lenient: boolean = false): string {
+    const start = this.consumed;
+    this.consumed += chunk.length;
+    if (this.closed) return '';
+
+    let output = '';
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+
+      if (this.offset === -1) {
+        if (this.candidate) {
+          const verdict = startsContainer(this.candidate[0], (this.candidate.slice(1) + char).replace(/^\s+/, ''), lenient);
+          if (verdict === undefined) {
+            this.candidate += char;
+            continue;
+          }
+          if (verdict) {
+            this.offset = this.candidateStart;
+            this.stack = [this.candidate[0]];
+            output += this.candidate;
+          }
+          this.candidate = '';
+        }
+
+        if (this.offset === -1) {
+          if (char === '{' || char === '[') {
+            this.candidate = char;
+            this.candidateStart = start + i;
+          }
+          continue;
+        }
+      }
+
+      output += char;
+      if (this.step(char, lenient)) {
+        this.closed = true;
+        break;
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * Advances the string and bracket state; returns true once the value closes
+   */
+  private step(char: string, lenient: boolean): boolean {
+    // Brackets and quotes inside JSON5 comments do not count
+    if (this.comment) {
+      if (this.comment === 'line' ? char === '\n' : this.star && char === '/') this.comment = '';
+      this.star = char === '*';
+      return false;
+    }
+    if (this.slash) {
+      this.slash = false;
+      if (char === '/' || char === '*') {
+        this.comment = char === '/' ? 'line' : 'block';
+        this.star = false;
+        return false;
+      }
+    }
+
+    if (this.escaped) {
+      this.escaped = false;
+    } else if (this.inString) {
+      if (char === '\\') this.escaped = true;
+      else if (char === this.stringChar) this.inString = false;
+    } else if (lenient && char === '/') {
+      this.slash = true;
+    } else if (isQuote(char)) {
+      this.inString = true;
+      this.stringChar = char;
+    } else if (char === '{' || char === '[') {
+      this.stack.push(char);
+    } else if (char === '}' || char === ']') {
+      // A mismatched closer also closes the containers above its opener
+      const depth = this.stack.lastIndexOf(char === '}' ? '{' : '[');
+      if (depth >= 0) this.stack.length = depth;
+    }
+    return this.stack.length === 0;
+  }
+
+  /**
+   * Whether the value has closed, after which nothing more is passed on
+   */
+  isClosed(): boolean {
+    return this.closed;
+  }
+
+  /**
+   * Copies the scanning state into plain data, to continue elsewhere with load()
+   */
+  save(): ExtractorState {
+    return {
+      offset: this.offset,
+      consumed: this.consumed,
+      candidate: this.candidate,
+      candidateStart: this.candidateStart,
+      stack: this.stack.slice(),
+      inString: this.inString,
+      stringChar: this.stringChar,
+      escaped: this.escaped,
+      closed: this.closed,
+      slash: this.slash,
+      comment: this.comment,
+      star: this.star,
+    };
+  }
+
+  /**
+   * Continues from data returned by save()
+   */
+  load(state: ExtractorState): void {
+    Object.assign(this, state, { stack: state.stack.slice() });
+  }
+
+  /**
+   * Forgets everything seen so far
+   */
+  reset(): void {
+    this.offset = -1;
+    this.consumed = 0;
+    this.candidate = '';
+    this.candidateStart = -1;
+    this.stack = [];
+    this.inString = false;
+    this.stringChar = '';
+    this.escaped = false;
+    this.closed = false;
+    this.slash = false;
+    this.comment = '';
+    this.star = false;
+  }
+}
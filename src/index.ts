@@ -1,22 +1,226 @@
+import { ExtractorState, JsonExtractor } from './extract';
+import { findSyntaxError, IncompleteJsonError, JsonParseError, LimitExceededError, SchemaValidationError, UnrecoverableJsonError } from './errors';
+import { createPatch, JsonPatchOperation } from './patch';
+import { JsonRepairer, RepairerState } from './repair';
+import { compileJsonPath, formatJsonPath, formatJsonPointer, matchJsonPath, PathPatternStep, PathSegment } from './path';
+import { JsonSchema, SchemaViolation, TypedJsonSchema, validateSchema } from './schema';
+import { BalanceResult, decodeString, DummyValue, JsonRepair, JsonTokenizer, PartialStringMode, PlaceholderContext, ResourceLimits, SavedTokenizer, StructureEvent, ValueType } from './tokenizer';
+
+export { IncompleteJsonError, JsonParseError, LimitExceededError, SchemaValidationError, UnrecoverableJsonError } from './errors';
+export type { ExtractorState } from './extract';
+export { applyPatch } from './patch';
+export type { JsonPatchOperation } from './patch';
+export type { PathSegment } from './path';
+export { createToolCallStream, ToolCallStream } from './providers';
+export type { ToolCall, ToolCallProvider } from './providers';
+export { createRecordParser, StreamingRecordParser } from './records';
+export type { RepairerState } from './repair';
+export { defineSchema } from './schema';
+export type { InferSchema, JsonSchema, JsonSchemaType, SchemaViolation, TypedJsonSchema } from './schema';
+export { createJsonTransformStream, parsePartialJson } from './streams';
+export type { ParsePartialJsonOptions } from './streams';
+export type { JsonRepair, PartialStringMode, ResourceLimits, SavedTokenizer, ValueType } from './tokenizer';
+export { fromZodSchema } from './zod';
+
 /**
  * Configuration options for the JSON parser
+ * @typeParam T Type of the complete document, when known
  */
-export interface JsonParserConfig {
+export interface JsonParserConfig<T = any> {
   /** Whether to balance unmatched quotes (default: true) */
   balanceQuotes?: boolean;
   /** Type of quotes to balance: 'double', 'single', or 'both' (default: 'both') */
   quoteType?: 'double' | 'single' | 'both';
   /** Whether to return parsed JSON object or string (default: false for backward compatibility) */
   returnParsedJson?: boolean;
-  /** Custom dummy values to use when balancing incomplete structures */
+  /** Whether appendChunk returns a PartialResult with completeness metadata instead of the bare value (default: false) */
+  includeMetadata?: boolean;
+  /** How to handle an object key cut off before its colon: 'drop' it or 'complete' it with a placeholder value (default: 'drop') */
+  incompleteKeys?: 'drop' | 'complete';
+  /** How to complete a string value still being streamed: 'keep' its text, 'omit' it, 'trim-to-word', or use its 'placeholder' (default: 'keep') */
+  partialStrings?: PartialStringMode;
+  /**
+   * Custom dummy values to use when balancing incomplete structures. A string
+   * is the value itself; one already written as a quoted JSON string, such as
+   * the default '""', is used as written.
+   */
   dummyValues?: {
     string?: string;
     number?: number;
     boolean?: boolean;
     null?: null;
   };
+  /** Expected value types by JSONPath (e.g. '$.user.age': 'number'), used to pick a dummy value */
+  typeHints?: Record<string, ValueType>;
+  /** Exact placeholder values by JSONPath (e.g. '$.user.name': '…'), overriding dummyValues */
+  placeholders?: Record<string, unknown>;
+  /** Whether to look for the first JSON object or array in surrounding prose or a markdown code fence (default: false) */
+  extractJson?: boolean;
+  /** Whether to rewrite JSON5-style input (single quotes, unquoted keys, comments, True/None, NaN) into strict JSON (default: false) */
+  repair?: boolean;
+  /** Value written for NaN, Infinity and -Infinity in repair mode (default: null) */
+  nonFiniteValue?: unknown;
+  /** Whether to throw an UnrecoverableJsonError instead of returning the balanced string when it does not parse, and a SchemaValidationError instead of reporting it (default: false) */
+  strict?: boolean;
+  /** Receives an UnrecoverableJsonError whenever the balanced string is returned because it does not parse, and a SchemaValidationError for each new schema violation */
+  onDiagnostic?: (error: JsonParseError) => void;
+  /** JSON Schema every snapshot must remain a valid prefix of; use fromZodSchema for a Zod schema (default: null) */
+  schema?: TypedJsonSchema<T> | null;
+  /** Caps on nesting depth, size, string length, array length and object keys; going past one throws a LimitExceededError (default: null) */
+  limits?: ResourceLimits | null;
+  /** Called instead of throwing when a limit is exceeded, leaving the input cut off right before it (default: null) */
+  onLimitExceeded?: ((error: LimitExceededError) => void) | null;
+}
+
+/**
+ * A value as it may look while streaming: every property optional, all the
+ * way down. Array elements are never undefined, only missing.
+ */
+export type DeepPartial<T> = 0 extends 1 & T
+  ? any
+  : T extends readonly (infer U)[]
+    ? DeepPartial<U>[]
+    : T extends object
+      ? { [K in keyof T]?: DeepPartial<T[K]> }
+      : T;
+
+/**
+ * Value returned by appendChunk when includeMetadata is enabled
+ */
+export interface PartialResult<T = any> {
+  /** Parsed JSON or balanced string, depending on returnParsedJson */
+  value: T;
+  /** JSON Pointers of containers and values still being streamed */
+  incompletePaths: string[];
+  /** JSON Pointers of values that are placeholders rather than received data */
+  syntheticPaths: string[];
+  /** Whether the document has been received in full */
+  isComplete: boolean;
+  /** Offset in the stream where the JSON begins, or -1 before it is found (extractJson only) */
+  jsonOffset?: number;
+  /** Closing brackets inserted or dropped to fix the structure and, with repair, JSON5-style syntax rewritten; absent when none were needed */
+  repairs?: JsonRepair[];
+  /** Ways in which the value breaks the schema; absent when it does not */
+  violations?: SchemaViolation[];
+  /** Whether the input was cut off at a resource limit; absent unless it was */
+  truncated?: boolean;
+}
+
+/**
+ * A PartialResult of parsed JSON, typed DeepPartial<T> while streaming and T
+ * once the document is complete
+ */
+export type PartialSnapshot<T> =
+  | (PartialResult<DeepPartial<T>> & { isComplete: false })
+  | (PartialResult<T> & { isComplete: true });
+
+/**
+ * Parser state saved by snapshot(), as plain JSON-serialisable data
+ */
+export interface ParserCheckpoint {
+  /** Format version; restore() rejects checkpoints of any other version */
+  version: number;
+  /** Configuration, without its functions */
+  config: JsonParserConfig;
+  /** Every chunk passed to appendChunk, as received */
+  rawInput: string;
+  input: string;
+  lastParsedData: any;
+  lastBalancedString: string;
+  addedDummyValues: DummyValue[];
+  tokenizer: SavedTokenizer;
+  extractor: ExtractorState;
+  repairer: RepairerState;
+  patchBase?: any;
+  pendingPatchPaths: PathSegment[][];
+  textStream: TextStream | null;
+  violations: SchemaViolation[];
+  reportedViolations: string[];
+  truncatedResult?: any;
+}
+
+/**
+ * Configuration that makes appendChunk return parsed JSON
+ */
+type ParsedConfig<T> = JsonParserConfig<T> & { returnParsedJson: true };
+
+/**
+ * Configuration that makes appendChunk return the balanced string
+ */
+type TextConfig<T> = JsonParserConfig<T> & { returnParsedJson?: false };
+
+/**
+ * Structural events emitted by StreamingJsonParser
+ * - fieldStart: a value started streaming
+ * - value: a value was received in full
+ * - itemComplete: an array element was received in full
+ * - end: the root value was received in full
+ * - patch: JSON Patch operations from the previous snapshot to the new one
+ * - text: decoded characters newly appended to a string value
+ */
+export type StreamingJsonEvent = 'fieldStart' | 'value' | 'itemComplete' | 'end' | 'patch' | 'text';
+
+/**
+ * A registered event listener and the compiled path pattern it filters on
+ */
+interface Subscription {
+  event: StreamingJsonEvent;
+  steps: PathPatternStep[] | null;
+  listener: (...args: any[]) => void;
+  /** Text of the streamed string received before this 'text' listener was added, sent with its first delta */
+  backlog?: string;
 }
 
+/**
+ * A whenComplete() promise waiting for a value to be received in full
+ */
+interface Completion {
+  steps: PathPatternStep[];
+  /** The pattern as given, for error messages */
+  path: string;
+  resolve: (value: any) => void;
+  reject: (error: Error) => void;
+}
+
+/**
+ * A string value whose decoded text is passed to 'text' listeners as it arrives
+ */
+interface TextStream {
+  path: PathSegment[];
+  quote: string;
+  /** Raw text from earlier chunks held back because it ends inside an escape */
+  held: string;
+  /** Input offset of the first character neither delivered nor held */
+  from: number;
+}
+
+/**
+ * Parser state saved at a chunk boundary, so that truncateTo only has to
+ * scan the input after it again. Snapshot values are left out, since they
+ * are recomputed anyway and would make every mark as large as the document.
+ */
+interface RewindMark {
+  /** Length of the raw input when the mark was taken */
+  rawLength: number;
+  /** Length of the consumed input at that point */
+  inputLength: number;
+  tokenizer: SavedTokenizer;
+  extractor: ExtractorState;
+  repairer: RepairerState;
+  textStream: TextStream | null;
+  violations: SchemaViolation[];
+}
+
+/** Raw characters between two rewind marks */
+const REWIND_INTERVAL = 4096;
+
+/**
+ * Version of the ParserCheckpoint format; bump it whenever the saved state changes shape.
+ * 2 added rawInput for rewinding. 3 dropped lastAnyChar from the tokenizer state
+ * and added the repairer's rewrites.
+ */
+const CHECKPOINT_VERSION = 3;
+
 /**
  * Default configuration
  */
@@ -24,302 +228,878 @@ const DEFAULT_CONFIG: Required<JsonParserConfig> = {
   balanceQuotes: true,
   quoteType: 'both',
   returnParsedJson: false,
+  includeMetadata: false,
+  incompleteKeys: 'drop',
+  partialStrings: 'keep',
   dummyValues: {
     string: '""',
     number: 0,
     boolean: false,
     null: null,
   },
+  typeHints: {},
+  placeholders: {},
+  extractJson: false,
+  repair: false,
+  nonFiniteValue: null,
+  strict: false,
+  onDiagnostic: () => {},
+  schema: null,
+  limits: null,
+  onLimitExceeded: null,
+};
+
+/**
+ * Whether a value is the JSON text of a string, quotes included
+ */
+const isJsonString = (value: unknown): value is string => {
+  if (typeof value !== 'string' || value.length < 2 || value[0] !== '"' || value[value.length - 1] !== '"') return false;
+  try {
+    return typeof JSON.parse(value) === 'string';
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Balance result for input that holds no JSON yet
+ */
+const EMPTY_RESULT: BalanceResult = {
+  balanced: '',
+  dummyValues: [],
+  incompletePaths: [],
+  syntheticPaths: [],
+  activePath: null,
+  isComplete: false,
+  repairs: [],
 };
 
 /**
  * Class for handling streaming JSON parsing with append-aware functionality
+ * @typeParam T Type of the complete document
+ * @typeParam V Type of each snapshot value: DeepPartial<T> or string
+ * @typeParam R Type returned by appendChunk: V, or a PartialResult with includeMetadata
  */
-export class StreamingJsonParser {
-  private config: Required<JsonParserConfig>;
+export class StreamingJsonParser<T = any, V = any, R = V> {
+  private config: Required<JsonParserConfig<T>>;
   private lastParsedData: any = null;
   private lastBalancedString: string = '';
-  private addedDummyValues: Array<{ position: number; value: string; type: string }> = [];
+  private addedDummyValues: DummyValue[] = [];
+  private input: string = '';
+  private tokenizer: JsonTokenizer;
+  private subscriptions: Subscription[] = [];
+  private completions: Completion[] = [];
+  private patchBase: any = undefined;
+  private pendingPatchPaths: PathSegment[][] = [];
+  /** Created on first use, as most parsers never extract or repair */
+  private lazyExtractor: JsonExtractor | null = null;
+  private lazyRepairer: JsonRepairer | null = null;
+  private textStream: TextStream | null = null;
+  private violations: SchemaViolation[] = [];
+  /** Violations already reported, by path and keyword */
+  private reportedViolations = new Set<string>();
+  private limitError: LimitExceededError | null = null;
+  /** What appendChunk returned when the input was cut off */
+  private truncatedResult: R | undefined = undefined;
+  private rawInput: string = '';
+  private rewindMarks: RewindMark[] = [];
+  /** Set while truncateTo scans kept text again, which listeners have already seen */
+  private silent = false;
+  /** Whether end() has been called since the last reset */
+  private ended = false;
 
-  constructor(config: JsonParserConfig = {}) {
+  constructor(config: JsonParserConfig<T> = {}) {
     this.config = { ...DEFAULT_CONFIG, ...config };
+    this.tokenizer = new JsonTokenizer(this.config.quoteType);
+  }
+
+  private get extractor(): JsonExtractor {
+    if (!this.lazyExtractor) this.lazyExtractor = new JsonExtractor();
+    return this.lazyExtractor;
+  }
+
+  private get repairer(): JsonRepairer {
+    if (!this.lazyRepairer) {
+      this.lazyRepairer = new JsonRepairer(() => JSON.stringify(this.config.nonFiniteValue) ?? 'null');
+    }
+    return this.lazyRepairer;
   }
 
   /**
    * Updates the configuration
    */
-  updateConfig(config: Partial<JsonParserConfig>): void {
+  updateConfig(config: Partial<JsonParserConfig<T>>): void {
+    const previousQuoteType = this.config.quoteType;
     this.config = { ...this.config, ...config };
+
+    // The lexer state depends on which quotes delimit strings, so rescan
+    if (this.config.quoteType !== previousQuoteType) {
+      this.tokenizer = new JsonTokenizer(this.config.quoteType);
+      this.tokenizer.write(this.input);
+    }
+    // Marks hold state scanned with the old settings
+    this.rewindMarks = [];
   }
 
   /**
    * Appends a new chunk and returns the updated parsed JSON
    */
-  appendChunk(chunk: string): any | string {
-    // If this is the first chunk, just process it normally
-    if (!this.lastBalancedString) {
-      const balancedResult = this.validateAndBalance(chunk);
-      this.lastBalancedString = balancedResult.balanced;
-      this.addedDummyValues = balancedResult.dummyValues;
-    } else {
-      // For subsequent chunks, we need to carefully merge with existing data
-      let baseData = this.lastBalancedString;
-      
-      // Remove dummy values that were added to the end in the previous iteration
-      // We only remove them if they're actually at the end and safe to remove
-      if (this.addedDummyValues.length > 0) {
-        // Sort by position descending to remove from end first
-        const sortedDummies = [...this.addedDummyValues].sort((a, b) => b.position - a.position);
-        
-        for (const dummy of sortedDummies) {
-          // Only remove if it's actually at the end of the string
-          if (baseData.endsWith(dummy.value)) {
-            baseData = baseData.slice(0, -dummy.value.length);
-          }
-        }
+  appendChunk(chunk: string): R {
+    // Nothing past a resource limit is read, so none of it is kept either
+    if (this.limitError) return this.consume(chunk);
+
+    const lastMark = this.rewindMarks[this.rewindMarks.length - 1];
+    if (this.rawInput.length - (lastMark ? lastMark.rawLength : 0) >= REWIND_INTERVAL) {
+      this.rewindMarks.push({
+        rawLength: this.rawInput.length,
+        inputLength: this.input.length,
+        tokenizer: this.tokenizer.save(),
+        extractor: this.extractor.save(),
+        repairer: this.repairer.save(),
+        textStream: this.textStream && { ...this.textStream },
+        violations: this.violations,
+      });
+    }
+    this.rawInput += chunk;
+    return this.consume(chunk);
+  }
+
+  /**
+   * Rewinds to an earlier point in the raw input, as if only its first
+   * `offset` characters had been appended. Scanning resumes from the nearest
+   * saved point before it, so only the text after that point is read again.
+   * Events for values that are taken back are not retracted, except that
+   * 'patch' listeners receive the operations that bring their copy in line.
+   * @param offset Number of raw characters to keep
+   * @returns What appendChunk would have returned for the kept text
+   * @throws RangeError if offset is not within the raw input received so far
+   */
+  truncateTo(offset: number): R {
+    if (!Number.isInteger(offset) || offset < 0 || offset > this.rawInput.length) {
+      throw new RangeError(`Offset ${offset} is outside the input received so far (0 to ${this.rawInput.length})`);
+    }
+
+    const marks = this.rewindMarks.filter(mark => mark.rawLength <= offset);
+    const mark = marks[marks.length - 1];
+    const { input, rawInput, patchBase, reportedViolations } = this;
+
+    this.clear();
+    if (mark) {
+      this.input = input.slice(0, mark.inputLength);
+      this.tokenizer.load(mark.tokenizer);
+      this.extractor.load(mark.extractor);
+      this.repairer.load(mark.repairer);
+      this.textStream = mark.textStream && { ...mark.textStream };
+      this.violations = mark.violations;
+    }
+    this.rawInput = rawInput.slice(0, offset);
+    this.rewindMarks = marks;
+    // Listeners already know about the kept text: patches are diffed from
+    // their copy, and violations already reported are not reported again
+    this.patchBase = patchBase;
+    this.pendingPatchPaths = [[]];
+    this.reportedViolations = reportedViolations;
+
+    this.silent = true;
+    try {
+      return this.consume(this.rawInput.slice(mark ? mark.rawLength : 0));
+    } finally {
+      this.silent = false;
+    }
+  }
+
+  /**
+   * Replaces the raw input from `offset` on with `text`, as when a provider
+   * regenerates the end of a response
+   * @param offset Number of raw characters to keep
+   * @param text Text that follows them instead
+   * @returns What appendChunk would have returned for the edited text
+   */
+  replaceFrom(offset: number, text: string): R {
+    this.truncateTo(offset);
+    return this.appendChunk(text);
+  }
+
+  /**
+   * Scans a chunk that has already been added to the raw input
+   */
+  private consume(chunk: string): R {
+    // Nothing past a resource limit is read until reset
+    if (this.limitError) {
+      if (!this.config.onLimitExceeded) throw this.limitError;
+      return this.truncatedResult!;
+    }
+    const rawLength = chunk.length;
+
+    // Only the new characters are scanned; the completion (closing quote,
+    // placeholder value, closing brackets) is derived from the lexer state
+    // and never becomes part of the stored input, so nothing has to be stripped
+    // when the next chunk arrives
+    if (this.config.extractJson) {
+      chunk = this.extractor.write(chunk, this.config.repair);
+      if (this.extractor.offset === -1) {
+        // Still reading prose; there is no JSON to complete yet
+        return this.output(this.currentValue(), EMPTY_RESULT);
       }
-      
-      // Append the new chunk
-      const newInput = baseData + chunk;
-      
-      // Reset dummy values tracking
-      this.addedDummyValues = [];
-      
-      // Balance the new input
-      const balancedResult = this.validateAndBalance(newInput);
-      this.lastBalancedString = balancedResult.balanced;
-      this.addedDummyValues = balancedResult.dummyValues;
-    }
-
-    if (this.config.returnParsedJson) {
-      try {
-        this.lastParsedData = JSON.parse(this.lastBalancedString);
-        return this.lastParsedData;
-      } catch (error) {
-        // If parsing fails, return the balanced string and log the error for debugging
-        console.warn('JSON parsing failed, returning balanced string:', error instanceof Error ? error.message : 'Unknown error');
-        console.warn('Attempted to parse:', this.lastBalancedString);
-        return this.lastBalancedString;
+    }
+
+    if (this.config.repair) {
+      chunk = this.repairer.write(chunk);
+    }
+
+    // The tokenizer fixes mismatched closing brackets, so store the text it consumed
+    const events: StructureEvent[] = [];
+    const listening = this.subscriptions.length > 0 || this.completions.length > 0;
+    chunk = this.tokenizer.write(chunk, listening ? event => events.push(event) : undefined, this.config.limits);
+    const chunkStart = this.input.length;
+    this.input += chunk;
+
+    const breach = this.tokenizer.getLimitBreach();
+    if (breach) {
+      this.limitError = new LimitExceededError(breach, this.input);
+      // Keep the raw input only up to the limit. Extraction and repair rewrite
+      // the text, so their raw offsets are unknown and the chunk is kept whole.
+      if (!this.config.extractJson && !this.config.repair) {
+        this.rawInput = this.rawInput.slice(0, this.rawInput.length - rawLength + this.tokenizer.getBreachIndex());
       }
     }
 
-    return this.lastBalancedString;
+    // A bare word the repairer is holding back (such as `Tru`) is completed on
+    // a copy of the lexer state, so it never becomes part of the stored input.
+    // Its events are only dispatched once the word is written for real, but
+    // the value is in the snapshot now, so patches must compare its path.
+    let tokenizer = this.tokenizer;
+    let input = this.input;
+    const pendingEvents: StructureEvent[] = [];
+    const pending = this.config.repair && !breach ? this.repairer.pending() : '';
+    if (pending) {
+      tokenizer = tokenizer.clone();
+      tokenizer.write(pending, listening ? event => pendingEvents.push(event) : undefined);
+      input += pending;
+    }
+
+    const balancedResult = tokenizer.complete(input, {
+      balanceQuotes: this.config.balanceQuotes,
+      incompleteKeys: this.config.incompleteKeys,
+      partialStrings: this.config.partialStrings,
+      placeholder: context => this.resolvePlaceholder(context),
+    });
+    this.lastBalancedString = balancedResult.balanced;
+    this.addedDummyValues = balancedResult.dummyValues;
+
+    const value = this.config.returnParsedJson ? this.parseBalanced() : this.lastBalancedString;
+    for (const event of events) {
+      this.dispatch(event, chunk, chunkStart);
+    }
+    if (this.textStream) {
+      this.deliverText(chunk, chunkStart);
+    }
+    if (this.subscriptions.length > 0 && this.subscriptions.some(subscription => subscription.event === 'patch')) {
+      const operations = this.diffSnapshot(balancedResult, events.concat(pendingEvents));
+      if (operations.length > 0) {
+        this.subscriptions
+          .filter(subscription => subscription.event === 'patch')
+          .forEach(subscription => subscription.listener(operations));
+      }
+    }
+    if (this.config.schema) {
+      this.checkSchema(this.config.schema, balancedResult);
+    }
+
+    const result = this.output(value, balancedResult);
+    if (this.limitError) {
+      this.truncatedResult = result;
+      // Nothing past the limit is read, so values still awaited never arrive
+      this.rejectCompletions(() => this.limitError!);
+      if (!this.config.onLimitExceeded) throw this.limitError;
+      // A limit hit again while rewinding was reported the first time
+      if (!this.silent) this.config.onLimitExceeded(this.limitError);
+    }
+    return result;
   }
 
   /**
-   * Resets the parser state
+   * Subscribes to structural events. Paths are JSONPath patterns such as
+   * `$.suggestions[*]` or `$..id`; without a pattern every path matches.
    */
-  reset(): void {
-    this.lastParsedData = null;
-    this.lastBalancedString = '';
-    this.addedDummyValues = [];
+  on(event: 'end', listener: (value: T) => void): this;
+  on(event: 'patch', listener: (operations: JsonPatchOperation[]) => void): this;
+  on(event: 'fieldStart', listener: (path: string) => void): this;
+  on(event: 'fieldStart', pattern: string, listener: (path: string) => void): this;
+  on(event: 'value' | 'itemComplete', listener: (value: any, path: string) => void): this;
+  on(event: 'value' | 'itemComplete', pattern: string, listener: (value: any, path: string) => void): this;
+  on(event: 'text', listener: (delta: string, path: string, done: boolean) => void): this;
+  on(event: 'text', pattern: string, listener: (delta: string, path: string, done: boolean) => void): this;
+  on(event: StreamingJsonEvent, patternOrListener: string | ((...args: any[]) => void), listener?: (...args: any[]) => void): this {
+    const subscription: Subscription = typeof patternOrListener === 'string'
+      ? { event, steps: compileJsonPath(patternOrListener), listener: listener! }
+      : { event, steps: null, listener: patternOrListener };
+    this.subscriptions.push(subscription);
+    if (event === 'text') {
+      this.catchUpText(subscription);
+    }
+    return this;
   }
 
   /**
-   * Gets the current parsed data without processing new input
+   * Starts a 'text' listener added while a matching string is being read
+   * with the text received so far, so its deltas still add up to the whole
+   * string. A stream restored from a checkpoint with no listener yet goes on
+   * where it left off instead, as its text was delivered before the snapshot.
    */
-  getCurrentData(): any | string {
-    return this.config.returnParsedJson ? this.lastParsedData : this.lastBalancedString;
+  private catchUpText(subscription: Subscription): void {
+    const open = this.tokenizer.getOpenString();
+    if (!open || (subscription.steps && !matchJsonPath(subscription.steps, open.path))) return;
+
+    if (this.textStream) {
+      const stream = this.textStream;
+      const joined = this.subscriptions.some(other => other !== subscription && other.event === 'text' &&
+        (!other.steps || matchJsonPath(other.steps, stream.path)));
+      if (!joined) return;
+    } else {
+      // Text ending inside an escape is held back, as it is for every listener
+      this.textStream = { path: open.path, quote: open.quote, held: this.tokenizer.getUnsafeTail(), from: this.input.length };
+    }
+    const safeEnd = this.input.length - this.textStream.held.length;
+    subscription.backlog = decodeString(this.input.slice(open.start + 1, safeEnd), open.quote);
   }
 
   /**
-   * Internal method to validate and balance JSON with tracking of dummy values
+   * Waits for the value at a path to be received in full, such as `$.intent`
+   * in a large response, to act on it before the rest arrives. The path is a
+   * JSONPath pattern as in on(); the first value to match is used, including
+   * one received before the call.
+   * @param path JSONPath of the value
+   * @returns Promise of the complete value. It rejects with an
+   * IncompleteJsonError if the document ends without the value, or the stream
+   * does (end() or reset()), and with the LimitExceededError if the input is
+   * cut off at a resource limit first.
    */
-  private validateAndBalance(input: string): { balanced: string; dummyValues: Array<{ position: number; value: string; type: string }> } {
-    if (!input) return { balanced: '', dummyValues: [] };
+  whenComplete(path: string): Promise<any> {
+    const steps = compileJsonPath(path);
 
-    let result = input;
-    const dummyValues: Array<{ position: number; value: string; type: string }> = [];
+    return new Promise((resolve, reject) => {
+      const completion: Completion = { steps, path, resolve, reject };
+      const received = this.findCompleteValue(steps);
 
-    // Balance quotes first if enabled
-    if (this.config.balanceQuotes) {
-      const quoteResult = this.balanceQuotes(result);
-      result = quoteResult.balanced;
-      dummyValues.push(...quoteResult.dummyValues);
+      if (received.found) {
+        resolve(received.value);
+      } else if (received.documentEnded) {
+        reject(this.missingValueError(completion, 'Document ended'));
+      } else if (this.ended) {
+        reject(this.missingValueError(completion, 'Stream ended'));
+      } else if (this.limitError) {
+        reject(this.limitError);
+      } else {
+        this.completions.push(completion);
+      }
+    });
+  }
+
+  /**
+   * Marks the end of the stream. A number or literal at the root, which has
+   * no delimiter after it, ends here: its events fire and a whenComplete()
+   * promise waiting for it resolves. Promises still waiting after that are
+   * rejected, as are any made later for values that did not arrive.
+   */
+  end(): void {
+    if (!this.ended && !this.limitError) {
+      const events: StructureEvent[] = [];
+      const emit = (event: StructureEvent) => events.push(event);
+      const chunkStart = this.input.length;
+      // A bare word the repairer is still holding back is as long as it gets
+      const word = this.lazyRepairer ? this.lazyRepairer.flush() : '';
+      if (word) this.input += this.tokenizer.write(word, emit);
+      this.tokenizer.end(emit);
+
+      const chunk = this.input.slice(chunkStart);
+      for (const event of events) {
+        this.dispatch(event, chunk, chunkStart);
+      }
     }
+    this.ended = true;
+    this.rejectCompletions(completion => this.missingValueError(completion, 'Stream ended'));
+  }
+
+  /**
+   * Removes a listener registered with on()
+   */
+  off(event: StreamingJsonEvent, listener: (...args: any[]) => void): this {
+    this.subscriptions = this.subscriptions.filter(
+      subscription => subscription.event !== event || subscription.listener !== listener
+    );
+    return this;
+  }
 
-    // Balance brackets
-    const bracketResult = this.balanceBrackets(result);
-    result = bracketResult.balanced;
-    dummyValues.push(...bracketResult.dummyValues);
+  /**
+   * Parses the balanced string, falling back to the string itself on failure.
+   * The failure is thrown in strict mode and reported to onDiagnostic
+   * otherwise; nothing is logged, since the text may hold user data.
+   */
+  private parseBalanced(): any | string {
+    const text = this.lastBalancedString;
+    try {
+      this.lastParsedData = JSON.parse(text);
+      return this.lastParsedData;
+    } catch {
+      const offset = findSyntaxError(text);
+      const message = offset < text.length ? `Unexpected character '${text[offset]}'` : 'Unexpected end of input';
+      const diagnostic = new UnrecoverableJsonError(message, text, offset);
 
-    return { balanced: result, dummyValues };
+      if (this.config.strict) {
+        throw diagnostic;
+      }
+      this.config.onDiagnostic(diagnostic);
+      return text;
+    }
   }
 
   /**
-   * Balance quotes in the JSON string
+   * Checks the snapshot against the schema and reports each violation the
+   * first time it appears, so a bad generation can be stopped early
    */
-  private balanceQuotes(input: string): { balanced: string; dummyValues: Array<{ position: number; value: string; type: string }> } {
-    const dummyValues: Array<{ position: number; value: string; type: string }> = [];
-    let result = input;
-    let inString = false;
-    let stringChar = '';
-    let escaped = false;
+  private checkSchema(schema: JsonSchema, balancedResult: BalanceResult): void {
+    let snapshot: any;
+    try {
+      snapshot = JSON.parse(balancedResult.balanced);
+    } catch {
+      // Already reported by parseBalanced
+      return;
+    }
+
+    this.violations = validateSchema(schema, snapshot, {
+      incomplete: new Set(balancedResult.incompletePaths.map(formatJsonPointer)),
+      synthetic: new Set(balancedResult.syntheticPaths.map(formatJsonPointer)),
+    });
+
+    for (const violation of this.violations) {
+      const key = `${violation.path} ${violation.keyword}`;
+      if (this.reportedViolations.has(key)) continue;
+      this.reportedViolations.add(key);
 
-    for (let i = 0; i < result.length; i++) {
-      const char = result[i];
-      
-      if (escaped) {
-        escaped = false;
-        continue;
+      const error = new SchemaValidationError(violation, this.input, this.findValueStart(violation.path));
+      if (this.config.strict) {
+        throw error;
       }
+      this.config.onDiagnostic(error);
+    }
+  }
 
-      if (char === '\\') {
-        escaped = true;
-        continue;
+  /**
+   * Finds where the value at a JSON Pointer starts in the input, or the end
+   * of the input if it has not started yet
+   */
+  private findValueStart(pointer: string): number {
+    let start = this.input.length;
+    new JsonTokenizer(this.config.quoteType).write(this.input, event => {
+      if (event.type === 'start' && start === this.input.length && formatJsonPointer(event.path) === pointer) {
+        start = event.start;
       }
+    });
+    return start;
+  }
 
-      const shouldProcessQuote = 
-        (this.config.quoteType === 'both') ||
-        (this.config.quoteType === 'double' && char === '"') ||
-        (this.config.quoteType === 'single' && char === "'");
-
-      if (shouldProcessQuote && (char === '"' || char === "'")) {
-        if (!inString) {
-          inString = true;
-          stringChar = char;
-        } else if (char === stringChar) {
-          inString = false;
-          stringChar = '';
-        }
+  /**
+   * Looks for a value matching the pattern that is already complete in the
+   * input, and whether the root value has ended
+   */
+  private findCompleteValue(steps: PathPatternStep[]): { found: boolean; value?: any; documentEnded: boolean } {
+    const received: { found: boolean; value?: any; documentEnded: boolean } = { found: false, documentEnded: false };
+    const collect = (event: StructureEvent) => {
+      if (event.type !== 'end' || received.found) return;
+      if (event.path.length === 0) received.documentEnded = true;
+      if (!matchJsonPath(steps, event.path)) return;
+      try {
+        received.value = JSON.parse(this.input.slice(event.start, event.end));
+        received.found = true;
+      } catch {
+        // Not valid JSON, so it cannot be the value
       }
+    };
+    const tokenizer = new JsonTokenizer(this.config.quoteType);
+    tokenizer.write(this.input, collect);
+    if (this.ended) tokenizer.end(collect);
+    return received;
+  }
+
+  private missingValueError(completion: Completion, reason: string): IncompleteJsonError {
+    return new IncompleteJsonError(`${reason} before ${completion.path} was complete`, this.input, this.input.length);
+  }
+
+  /**
+   * Rejects every whenComplete() promise still waiting
+   */
+  private rejectCompletions(error: (completion: Completion) => Error): void {
+    const completions = this.completions;
+    this.completions = [];
+    completions.forEach(completion => completion.reject(error(completion)));
+  }
+
+  /**
+   * Delivers a structure event to the matching subscriptions
+   * @param chunk The consumed chunk the event was found in
+   * @param chunkStart Input offset of the chunk
+   */
+  private dispatch(event: StructureEvent, chunk: string, chunkStart: number): void {
+    const path = formatJsonPath(event.path);
+    const matching = (name: StreamingJsonEvent) => this.subscriptions.filter(
+      subscription => subscription.event === name && (!subscription.steps || matchJsonPath(subscription.steps, event.path))
+    );
+
+    if (event.type === 'start') {
+      if (!this.silent) matching('fieldStart').forEach(subscription => subscription.listener(path));
+
+      if (event.valueType === 'string' && matching('text').length > 0) {
+        this.textStream = { path: event.path, quote: chunk[event.start - chunkStart], held: '', from: event.start + 1 };
+      }
+      return;
     }
 
-    // If we're still in a string, close it
-    if (inString && stringChar) {
-      result += stringChar;
-      dummyValues.push({
-        position: result.length - 1,
-        value: stringChar,
-        type: 'quote'
-      });
+    // Only one string can be open at a time, so this one is the streamed one
+    if (event.valueType === 'string' && this.textStream) {
+      this.deliverText(chunk, chunkStart, event.end - 1);
+    }
+    if (this.silent) return;
+
+    let value: any;
+    try {
+      value = JSON.parse(this.input.slice(event.start, event.end));
+    } catch {
+      return;
+    }
+
+    if (this.completions.length > 0) {
+      const resolved = this.completions.filter(completion => matchJsonPath(completion.steps, event.path));
+      this.completions = this.completions.filter(completion => !resolved.includes(completion));
+      resolved.forEach(completion => completion.resolve(value));
     }
 
-    return { balanced: result, dummyValues };
+    matching('value').forEach(subscription => subscription.listener(value, path));
+    if (typeof event.path[event.path.length - 1] === 'number') {
+      matching('itemComplete').forEach(subscription => subscription.listener(value, path));
+    }
+    if (event.path.length === 0) {
+      matching('end').forEach(subscription => subscription.listener(value));
+      // Nothing follows the root value, so paths still awaited never arrive
+      this.rejectCompletions(completion => this.missingValueError(completion, 'Document ended'));
+    }
   }
 
   /**
-   * Balance brackets in the JSON string
+   * Passes the text of the streamed string that arrived in this chunk to its
+   * listeners, decoded. Text is sliced from the chunk rather than the whole
+   * input, and a partial escape at the end is held for the next chunk.
+   * @param end Input offset of the closing quote, once the string has ended
    */
-  private balanceBrackets(input: string): { balanced: string; dummyValues: Array<{ position: number; value: string; type: string }> } {
-    const stack: string[] = [];
-    const dummyValues: Array<{ position: number; value: string; type: string }> = [];
-    let result = input;
-    let inString = false;
-    let stringChar = '';
-    let escaped = false;
-    let lastNonWhitespaceChar = '';
-    let lastNonWhitespaceIndex = -1;
+  private deliverText(chunk: string, chunkStart: number, end?: number): void {
+    const stream = this.textStream!;
+    const listeners = this.subscriptions.filter(
+      subscription => subscription.event === 'text' && (!subscription.steps || matchJsonPath(subscription.steps, stream.path))
+    );
+    if (listeners.length === 0) {
+      this.textStream = null;
+      return;
+    }
 
-    // First pass: track what brackets are open and analyze the structure
-    for (let i = 0; i < result.length; i++) {
-      const char = result[i];
+    const done = end !== undefined;
+    const raw = stream.held + chunk.slice(stream.from - chunkStart, done ? end - chunkStart : chunk.length);
+    const safe = raw.length - (done ? 0 : this.tokenizer.getUnsafeTail().length);
 
-      if (escaped) {
-        escaped = false;
-        continue;
-      }
+    stream.held = raw.slice(safe);
+    stream.from = chunkStart + chunk.length;
+    if (done) {
+      this.textStream = null;
+    }
+    if (this.silent) return;
+    const delta = decodeString(raw.slice(0, safe), stream.quote);
+    const path = formatJsonPath(stream.path);
+    listeners.forEach(subscription => {
+      const text = (subscription.backlog || '') + delta;
+      subscription.backlog = undefined;
+      if (text || done) subscription.listener(text, path, done);
+    });
+  }
 
-      if (char === '\\') {
-        escaped = true;
-        continue;
-      }
+  /**
+   * Computes the patch from the last snapshot to the new one. Only values that
+   * started in this chunk, were still streaming, or are placeholders can have
+   * changed, so only those paths are compared.
+   */
+  private diffSnapshot(balancedResult: BalanceResult, events: StructureEvent[]): JsonPatchOperation[] {
+    events.forEach(event => event.type === 'start' && this.pendingPatchPaths.push(event.path));
+    this.pendingPatchPaths.push(...balancedResult.syntheticPaths);
 
-      if ((char === '"' || char === "'") && !inString) {
-        inString = true;
-        stringChar = char;
-      } else if (char === stringChar && inString) {
-        inString = false;
-        stringChar = '';
-      }
+    let snapshot: any;
+    try {
+      snapshot = JSON.parse(balancedResult.balanced);
+    } catch {
+      // Keep the pending paths until a snapshot parses again
+      return [];
+    }
 
-      if (!inString) {
-        if (char === "{" || char === "[") {
-          stack.push(char === "{" ? "}" : "]");
-        } else if (char === "}" || char === "]") {
-          if (stack.length > 0 && stack[stack.length - 1] === char) {
-            stack.pop();
-          }
-        }
-        
-        // Track the last non-whitespace character for context
-        if (char.trim() !== '') {
-          lastNonWhitespaceChar = char;
-          lastNonWhitespaceIndex = i;
-        }
-      }
+    const operations: JsonPatchOperation[] = this.patchBase === undefined
+      ? [{ op: 'add', path: '', value: snapshot }]
+      : createPatch(this.patchBase, snapshot, this.pendingPatchPaths);
+
+    this.patchBase = snapshot;
+    this.pendingPatchPaths = [...balancedResult.syntheticPaths];
+    if (balancedResult.activePath) {
+      this.pendingPatchPaths.push(balancedResult.activePath);
     }
+    return operations;
+  }
 
-    // Handle trailing commas by removing them before closing brackets
-    if (lastNonWhitespaceChar === ',' && stack.length > 0) {
-      // Remove the trailing comma
-      const beforeComma = result.substring(0, lastNonWhitespaceIndex);
-      const afterComma = result.substring(lastNonWhitespaceIndex + 1);
-      result = beforeComma + afterComma;
-      
-      // Update lastNonWhitespaceChar to reflect the character before the comma
-      let newLastChar = '';
-      let newLastIndex = -1;
-      for (let i = beforeComma.length - 1; i >= 0; i--) {
-        if (beforeComma[i].trim() !== '') {
-          newLastChar = beforeComma[i];
-          newLastIndex = i;
-          break;
-        }
-      }
-      lastNonWhitespaceChar = newLastChar;
-      lastNonWhitespaceIndex = newLastIndex;
-    }
-
-    // Check if we need to add a value before closing brackets
-    const needsValue = lastNonWhitespaceChar === ':' || lastNonWhitespaceChar === '[';
-    
-    if (needsValue && stack.length > 0) {
-      // Add a placeholder value based on context
-      if (lastNonWhitespaceChar === ':') {
-        result += 'null';
-        dummyValues.push({
-          position: result.length - 4,
-          value: 'null',
-          type: 'value'
-        });
-      }
-      // Note: For arrays (lastNonWhitespaceChar === '['), we don't add anything
-      // The array can be empty: []
-    }
-
-    // Close remaining brackets
-    while (stack.length > 0) {
-      const closingBracket = stack.pop()!;
-      result += closingBracket;
-      dummyValues.push({
-        position: result.length - 1,
-        value: closingBracket,
-        type: 'bracket'
-      });
+  /**
+   * Returns a snapshot value as configured: bare, or with its metadata
+   */
+  private output(value: any, balancedResult: BalanceResult): R {
+    if (!this.config.includeMetadata) return value;
+    return this.withMetadata(value, balancedResult) as R;
+  }
+
+  /**
+   * Wraps a value with the completeness metadata of the balance pass
+   */
+  private withMetadata(value: any, balancedResult: BalanceResult): PartialResult {
+    const result: PartialResult = {
+      value,
+      incompletePaths: balancedResult.incompletePaths.map(formatJsonPointer),
+      syntheticPaths: balancedResult.syntheticPaths.map(formatJsonPointer),
+      isComplete: balancedResult.isComplete,
+    };
+    if (this.config.extractJson) {
+      result.jsonOffset = this.extractor.offset;
+    }
+    const repairs = this.withRewrites(balancedResult.repairs);
+    if (repairs.length > 0) {
+      result.repairs = repairs;
+    }
+    if (this.violations.length > 0) {
+      result.violations = this.violations;
+    }
+    if (this.limitError) {
+      result.truncated = true;
+    }
+    return result;
+  }
+
+  /**
+   * Saves everything needed to continue parsing, so a stream cut off in one
+   * process can be picked up in another with StreamingJsonParser.restore().
+   * Event listeners and functions in the configuration are not saved.
+   * @returns A checkpoint that survives JSON.stringify and JSON.parse
+   */
+  snapshot(): ParserCheckpoint {
+    const config: Record<string, unknown> = {};
+    Object.keys(this.config).forEach(key => {
+      const value = (this.config as Record<string, unknown>)[key];
+      if (typeof value !== 'function') config[key] = value;
+    });
+
+    return {
+      version: CHECKPOINT_VERSION,
+      config,
+      rawInput: this.rawInput,
+      input: this.input,
+      lastParsedData: this.lastParsedData,
+      lastBalancedString: this.lastBalancedString,
+      addedDummyValues: this.addedDummyValues,
+      tokenizer: this.tokenizer.save(),
+      extractor: this.extractor.save(),
+      repairer: this.repairer.save(),
+      patchBase: this.patchBase,
+      pendingPatchPaths: this.pendingPatchPaths.slice(),
+      textStream: this.textStream && { ...this.textStream },
+      violations: this.violations,
+      reportedViolations: Array.from(this.reportedViolations),
+      truncatedResult: this.truncatedResult,
+    };
+  }
+
+  /**
+   * Creates a parser that continues exactly where a snapshot() was taken
+   * @param checkpoint Checkpoint from snapshot(), possibly after a JSON round trip
+   * @param config Settings applied over the saved ones, such as onDiagnostic, which a checkpoint cannot hold
+   * @throws Error if the checkpoint has another format version
+   */
+  static restore<T = any, V = any, R = V>(checkpoint: ParserCheckpoint, config: JsonParserConfig<T> = {}): StreamingJsonParser<T, V, R> {
+    if (!checkpoint || checkpoint.version !== CHECKPOINT_VERSION) {
+      const version = checkpoint ? checkpoint.version : undefined;
+      throw new Error(`Unsupported parser checkpoint version: ${version} (expected ${CHECKPOINT_VERSION})`);
+    }
+
+    const parser = new StreamingJsonParser<T, V, R>({ ...checkpoint.config, ...config });
+    parser.rawInput = checkpoint.rawInput;
+    parser.input = checkpoint.input;
+    parser.lastParsedData = checkpoint.lastParsedData;
+    parser.lastBalancedString = checkpoint.lastBalancedString;
+    parser.addedDummyValues = checkpoint.addedDummyValues;
+    parser.tokenizer.load(checkpoint.tokenizer);
+    parser.extractor.load(checkpoint.extractor);
+    parser.repairer.load(checkpoint.repairer);
+    parser.patchBase = checkpoint.patchBase;
+    parser.pendingPatchPaths = checkpoint.pendingPatchPaths.slice();
+    parser.textStream = checkpoint.textStream && { ...checkpoint.textStream };
+    parser.violations = checkpoint.violations;
+    parser.reportedViolations = new Set(checkpoint.reportedViolations);
+
+    const breach = parser.tokenizer.getLimitBreach();
+    if (breach) {
+      parser.limitError = new LimitExceededError(breach, parser.input);
+      parser.truncatedResult = checkpoint.truncatedResult;
+    }
+    return parser;
+  }
+
+  /**
+   * Resets the parser state. Promises from whenComplete() still waiting are
+   * rejected, since their stream has been abandoned.
+   */
+  reset(): void {
+    this.rejectCompletions(completion => this.missingValueError(completion, 'Parser was reset'));
+    this.clear();
+  }
+
+  /**
+   * Clears the state of the stream, keeping listeners and pending promises
+   */
+  private clear(): void {
+    this.lastParsedData = null;
+    this.lastBalancedString = '';
+    this.addedDummyValues = [];
+    this.input = '';
+    this.tokenizer.reset();
+    this.patchBase = undefined;
+    this.pendingPatchPaths = [];
+    this.textStream = null;
+    this.lazyExtractor = null;
+    this.lazyRepairer = null;
+    this.violations = [];
+    this.reportedViolations.clear();
+    this.limitError = null;
+    this.truncatedResult = undefined;
+    this.rawInput = '';
+    this.rewindMarks = [];
+    this.ended = false;
+  }
+
+  /**
+   * Gets the offset in the stream where the JSON begins when extractJson is
+   * enabled, or -1 before it is found
+   */
+  getJsonOffset(): number {
+    return this.extractor.offset;
+  }
+
+  /**
+   * Gets the JSON text received so far, after extraction and repair. A bare
+   * word still held back by the repairer is only included once it is a
+   * whole keyword.
+   */
+  getText(): string {
+    return this.config.repair && !this.limitError ? this.input + this.repairer.pending(true) : this.input;
+  }
+
+  /**
+   * Gets the repairs made to the input so far, such as inserted or dropped
+   * closing brackets and, with repair, rewritten JSON5-style syntax
+   */
+  getRepairs(): JsonRepair[] {
+    return this.withRewrites(this.tokenizer.getRepairs());
+  }
+
+  /**
+   * Merges the repairer's rewrites into structural repairs, in text order
+   */
+  private withRewrites(repairs: JsonRepair[]): JsonRepair[] {
+    if (!this.lazyRepairer) return repairs;
+    const rewrites = this.lazyRepairer.getRepairs();
+    if (rewrites.length === 0) return repairs;
+    return rewrites.concat(repairs).sort((a, b) => a.position - b.position);
+  }
+
+  /**
+   * Gets the schema violations of the latest snapshot
+   */
+  getViolations(): SchemaViolation[] {
+    return this.violations;
+  }
+
+  /**
+   * Gets the current parsed data without processing new input
+   */
+  getCurrentData(): V | null {
+    return this.currentValue();
+  }
+
+  private currentValue(): any {
+    return this.config.returnParsedJson ? this.lastParsedData : this.lastBalancedString;
+  }
+
+  /**
+   * Picks the JSON text for a missing value: a per-path placeholder first,
+   * then a dummy value for the known, hinted or sibling-inferred type, else null
+   */
+  private resolvePlaceholder({ path, siblingType, valueType }: PlaceholderContext): string {
+    const jsonPath = formatJsonPath(path);
+    const { placeholders, typeHints } = this.config;
+
+    if (placeholders && Object.prototype.hasOwnProperty.call(placeholders, jsonPath)) {
+      return JSON.stringify(placeholders[jsonPath]) ?? 'null';
     }
 
-    return { balanced: result, dummyValues };
+    const dummyValues = { ...DEFAULT_CONFIG.dummyValues, ...this.config.dummyValues };
+    const type = valueType || (typeHints && typeHints[jsonPath]) || siblingType;
+    let value: unknown = dummyValues.null;
+
+    if (type === 'string') {
+      // Before dummy values became type-aware, strings were given as JSON text
+      if (isJsonString(dummyValues.string)) return dummyValues.string;
+      value = dummyValues.string;
+    } else if (type === 'number' || type === 'boolean') {
+      value = dummyValues[type];
+    } else if (type === 'object') {
+      value = {};
+    } else if (type === 'array') {
+      value = [];
+    }
+
+    return JSON.stringify(value) ?? 'null';
   }
 }
 
 /**
  * Balances JSON brackets in a potentially incomplete JSON string by adding missing closing brackets.
  * Useful for handling streaming JSON data where the string might be cut off mid-stream.
+ * The return type follows returnParsedJson and includeMetadata when they are literals.
  * @param input Potentially incomplete JSON string
  * @param config Optional configuration for parsing behavior
  * @returns String with balanced JSON brackets or parsed JSON object based on config
  */
-export const validateStreamingJson = (input: string, config: JsonParserConfig = {}): string | any => {
+export function validateStreamingJson<T = any>(input: string, config: ParsedConfig<T> & { includeMetadata: true }): PartialSnapshot<T>;
+export function validateStreamingJson<T = any>(input: string, config: ParsedConfig<T> & { includeMetadata?: false }): DeepPartial<T>;
+export function validateStreamingJson<T = any>(input: string, config: TextConfig<T> & { includeMetadata: true }): PartialResult<string>;
+export function validateStreamingJson<T = any>(input: string, config?: TextConfig<T> & { includeMetadata?: false }): string;
+export function validateStreamingJson<T = any>(input: string, config?: JsonParserConfig<T>): any;
+export function validateStreamingJson(input: string, config: JsonParserConfig = {}): any {
   const parser = new StreamingJsonParser(config);
   return parser.appendChunk(input);
-};
+}
 
 /**
- * Creates a new streaming JSON parser instance
+ * Creates a new streaming JSON parser instance. Snapshots are typed
+ * DeepPartial<T> when returnParsedJson is `true`, where T is the type
+ * argument or the type carried by a schema from defineSchema or
+ * fromZodSchema. A snapshot that could not be parsed is still returned as
+ * the balanced string unless strict is set.
  * @param config Configuration options for the parser
  * @returns StreamingJsonParser instance
  */
-export const createStreamingParser = (config: JsonParserConfig = {}): StreamingJsonParser => {
+export function createStreamingParser<T = any>(config: ParsedConfig<T> & { includeMetadata: true }): StreamingJsonParser<T, DeepPartial<T>, PartialSnapshot<T>>;
+export function createStreamingParser<T = any>(config: ParsedConfig<T> & { includeMetadata?: false }): StreamingJsonParser<T, DeepPartial<T>>;
+export function createStreamingParser<T = any>(config: TextConfig<T> & { includeMetadata: true }): StreamingJsonParser<T, string, PartialResult<string>>;
+export function createStreamingParser<T = any>(config?: TextConfig<T> & { includeMetadata?: false }): StreamingJsonParser<T, string>;
+export function createStreamingParser<T = any>(config?: JsonParserConfig<T>): StreamingJsonParser<T>;
+export function createStreamingParser(config: JsonParserConfig = {}): StreamingJsonParser {
   return new StreamingJsonParser(config);
-};
\ No newline at end of file
+}
\ No newline at end of file
@@ -0,0 +1,35 @@
+import { Transform } from 'stream';
+import { JsonParserConfig } from './index';
+import { createChunkReader } from './streams';
+
+/**
+ * Creates a Node.js Transform stream that parses streamed JSON text or bytes.
+ * The readable side is in object mode and emits a partial result for every
+ * chunk that adds text.
+ * @param config Parser configuration; returnParsedJson defaults to true
+ * @returns Transform stream to use with `source.pipe()`
+ */
+export const createJsonNodeTransform = (config: JsonParserConfig = {}): Transform => {
+  const reader = createChunkReader(config);
+
+  return new Transform({
+    decodeStrings: false,
+    readableObjectMode: true,
+    transform(chunk: string | Uint8Array, _encoding, callback) {
+      try {
+        const result = reader.write(chunk);
+        callback(null, result === null ? undefined : result);
+      } catch (error) {
+        callback(error as Error);
+      }
+    },
+    flush(callback) {
+      try {
+        const result = reader.end();
+        callback(null, result === null ? undefined : result);
+      } catch (error) {
+        callback(error as Error);
+      }
+    },
+  });
+};
@@ -0,0 +1,108 @@
+import { formatJsonPointer, PathSegment } from './path';
+
+/**
+ * An RFC 6902 JSON Patch operation, plus an `append` extension that adds
+ * text to the end of an existing string
+ */
+export type JsonPatchOperation =
+  | { op: 'add' | 'replace'; path: string; value: any }
+  | { op: 'remove'; path: string }
+  | { op: 'append'; path: string; value: string };
+
+/**
+ * Looks up the value at a path, distinguishing a missing value from undefined
+ */
+const lookup = (document: any, path: PathSegment[]): { found: boolean; value: any } => {
+  let value = document;
+  for (const segment of path) {
+    if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, segment)) {
+      return { found: false, value: undefined };
+    }
+    value = value[segment];
+  }
+  return { found: true, value };
+};
+
+const sameValue = (a: any, b: any): boolean =>
+  a === b || (typeof a === 'object' && typeof b === 'object' && JSON.stringify(a) === JSON.stringify(b));
+
+const pathKey = (path: PathSegment[]): string => JSON.stringify(path);
+
+/**
+ * Builds the operations that turn `before` into `after`, looking only at the
+ * given paths. The caller knows which values may have changed, so nothing else
+ * is compared. Paths nested inside another listed path are skipped, since the
+ * outer operation already carries their value.
+ * @param before Previous snapshot
+ * @param after New snapshot
+ * @param paths Locations that may differ, in document order
+ * @returns Patch operations in the order they must be applied
+ */
+export const createPatch = (before: any, after: any, paths: PathSegment[][]): JsonPatchOperation[] => {
+  const operations: JsonPatchOperation[] = [];
+  const seen = new Set<string>();
+  const covered = (path: PathSegment[]) => path.some((_, depth) => seen.has(pathKey(path.slice(0, depth))));
+
+  for (const path of paths) {
+    const key = pathKey(path);
+    if (seen.has(key) || covered(path)) continue;
+    seen.add(key);
+
+    const pointer = formatJsonPointer(path);
+    const previous = lookup(before, path);
+    const current = lookup(after, path);
+
+    if (!current.found) {
+      if (previous.found) operations.push({ op: 'remove', path: pointer });
+    } else if (!previous.found) {
+      operations.push({ op: 'add', path: pointer, value: current.value });
+    } else if (typeof previous.value === 'string' && typeof current.value === 'string' && current.value.startsWith(previous.value)) {
+      if (current.value.length > previous.value.length) {
+        operations.push({ op: 'append', path: pointer, value: current.value.slice(previous.value.length) });
+      }
+    } else if (!sameValue(previous.value, current.value)) {
+      operations.push({ op: 'replace', path: pointer, value: current.value });
+    }
+  }
+
+  return operations;
+};
+
+/**
+ * Applies patch operations, including the `append` extension, to a document
+ * @param document Document to update; objects and arrays are modified in place
+ * @param operations Operations from createPatch or a 'patch' event
+ * @returns The updated document (a new value when the root itself changed)
+ */
+export const applyPatch = (document: any, operations: JsonPatchOperation[]): any => {
+  for (const operation of operations) {
+    const segments = operation.path
+      .split('/')
+      .slice(1)
+      .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+    if (segments.length === 0) {
+      if (operation.op === 'remove') document = undefined;
+      else if (operation.op === 'append') document += operation.value;
+      else document = operation.value;
+      continue;
+    }
+
+    const last = segments.pop()!;
+    const parent = segments.reduce((value, segment) => value[segment], document);
+    const index = Array.isArray(parent) ? (last === '-' ? parent.length : Number(last)) : -1;
+
+    if (operation.op === 'remove') {
+      if (index >= 0) parent.splice(index, 1);
+      else delete parent[last];
+    } else if (operation.op === 'append') {
+      parent[last] += operation.value;
+    } else if (operation.op === 'add' && index >= 0) {
+      parent.splice(index, 0, operation.value);
+    } else {
+      parent[last] = operation.value;
+    }
+  }
+
+  return document;
+};
@@ -0,0 +1,120 @@
+/**
+ * One step into a JSON document: an object key or an array index
+ */
+export type PathSegment = string | number;
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+/**
+ * Formats path segments as a JSONPath expression, e.g. `$.user.tags[0]`
+ * @param segments Keys and indices from the document root
+ * @returns JSONPath string
+ */
+export const formatJsonPath = (segments: PathSegment[]): string => {
+  let path = '$';
+  for (const segment of segments) {
+    if (typeof segment === 'number') {
+      path += `[${segment}]`;
+    } else if (IDENTIFIER.test(segment)) {
+      path += `.${segment}`;
+    } else {
+      path += `[${JSON.stringify(segment)}]`;
+    }
+  }
+  return path;
+};
+
+/**
+ * Formats path segments as an RFC 6901 JSON Pointer, e.g. `/user/tags/0`
+ * @param segments Keys and indices from the document root
+ * @returns JSON Pointer string ('' for the root)
+ */
+export const formatJsonPointer = (segments: PathSegment[]): string =>
+  segments.map(segment => '/' + String(segment).replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+
+/**
+ * One step of a compiled JSONPath pattern
+ */
+export type PathPatternStep =
+  | { kind: 'segment'; value: PathSegment }
+  | { kind: 'wildcard' }
+  | { kind: 'descendant' };
+
+/**
+ * Compiles a JSONPath pattern such as `$.items[*].name` or `$..id`.
+ * Supports `.key`, `["key"]`, `[0]`, the `*` wildcard and `..` recursive descent.
+ * @param pattern JSONPath pattern starting with `$`
+ * @returns Steps for matchJsonPath
+ */
+export const compileJsonPath = (pattern: string): PathPatternStep[] => {
+  const invalid = () => new Error(`Invalid JSONPath pattern: ${pattern}`);
+  if (pattern[0] !== '$') throw invalid();
+
+  const steps: PathPatternStep[] = [];
+  let i = 1;
+
+  while (i < pattern.length) {
+    let member = false;
+    if (pattern.startsWith('..', i)) {
+      steps.push({ kind: 'descendant' });
+      i += 2;
+      member = i < pattern.length && pattern[i] !== '[';
+    } else if (pattern[i] === '.') {
+      i++;
+      member = true;
+    }
+
+    if (member) {
+      let end = i;
+      while (end < pattern.length && pattern[end] !== '.' && pattern[end] !== '[') end++;
+      const name = pattern.slice(i, end);
+      if (!name) throw invalid();
+      steps.push(name === '*' ? { kind: 'wildcard' } : { kind: 'segment', value: name });
+      i = end;
+    } else if (pattern[i] === '[') {
+      // A quoted key may itself contain ']'
+      const quote = pattern[i + 1] === '"' || pattern[i + 1] === "'" ? pattern[i + 1] : '';
+      const close = quote ? pattern.indexOf(quote, i + 2) + 1 : pattern.indexOf(']', i);
+      if (close <= 0 || pattern[close] !== ']') throw invalid();
+      const inner = pattern.slice(i + 1, close);
+      if (inner === '*') {
+        steps.push({ kind: 'wildcard' });
+      } else if (/^\d+$/.test(inner)) {
+        steps.push({ kind: 'segment', value: Number(inner) });
+      } else if (/^(".*"|'.*')$/.test(inner)) {
+        steps.push({ kind: 'segment', value: inner[0] === '"' ? JSON.parse(inner) : inner.slice(1, -1) });
+      } else {
+        throw invalid();
+      }
+      i = close + 1;
+    } else if (i < pattern.length) {
+      throw invalid();
+    }
+  }
+
+  return steps;
+};
+
+/**
+ * Tests whether a path matches a compiled JSONPath pattern
+ * @param steps Compiled pattern from compileJsonPath
+ * @param segments Keys and indices from the document root
+ * @returns True when the whole path matches
+ */
+export const matchJsonPath = (steps: PathPatternStep[], segments: PathSegment[], from: number = 0, at: number = 0): boolean => {
+  if (from === steps.length) return at === segments.length;
+
+  const step = steps[from];
+  if (step.kind === 'descendant') {
+    for (let next = at; next <= segments.length; next++) {
+      if (matchJsonPath(steps, segments, from + 1, next)) return true;
+    }
+    return false;
+  }
+
+  if (at === segments.length) return false;
+  if (step.kind === 'wildcard' || step.value === segments[at]) {
+    return matchJsonPath(steps, segments, from + 1, at + 1);
+  }
+  return false;
+};
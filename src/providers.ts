@@ -0,0 +1,256 @@
+import { JsonParserConfig, StreamingJsonParser } from './index';
+
+/**
+ * Wire formats understood by ToolCallStream
+ * - openai: Chat Completions `choices[].delta.tool_calls[i].function.arguments`
+ * - anthropic: Messages `content_block_delta` events with `input_json_delta.partial_json`
+ * - gemini: `generateContent` chunks with `functionCall.args`
+ */
+export type ToolCallProvider = 'openai' | 'anthropic' | 'gemini';
+
+/**
+ * The state of one tool call while its arguments stream in
+ */
+export interface ToolCall {
+  /** Tool-call index (OpenAI), content-block index (Anthropic) or call order (Gemini) */
+  index: number;
+  /** Provider-assigned call id, once received */
+  id?: string;
+  /** Function name, once received */
+  name?: string;
+  /** Partial arguments, completed to valid JSON; undefined until argument text arrives */
+  arguments: any;
+  /** Whether the provider has finished sending this call */
+  isComplete: boolean;
+}
+
+/**
+ * A server-sent event: its type and the joined data lines
+ */
+interface ServerSentEvent {
+  event: string;
+  data: string;
+}
+
+/**
+ * Splits server-sent event text into events, keeping partial lines between chunks
+ */
+class ServerSentEventReader {
+  private buffer: string = '';
+  private event: string = '';
+  private data: string[] = [];
+
+  write(chunk: string): ServerSentEvent[] {
+    this.buffer += chunk;
+    const lines = this.buffer.split(/\r\n|\r|\n/);
+    this.buffer = lines.pop()!;
+
+    // A trailing '\r' may be the first half of a '\r\n' split across chunks
+    if (this.buffer === '' && chunk.endsWith('\r')) {
+      this.buffer = lines.pop()! + '\r';
+    }
+    return this.readLines(lines);
+  }
+
+  /**
+   * Dispatches the last event when the stream ends without a blank line
+   */
+  end(): ServerSentEvent[] {
+    const lines = this.buffer === '' ? [''] : [this.buffer.replace(/\r$/, ''), ''];
+    this.buffer = '';
+    return this.readLines(lines);
+  }
+
+  private readLines(lines: string[]): ServerSentEvent[] {
+    const events: ServerSentEvent[] = [];
+
+    for (const line of lines) {
+      if (line === '') {
+        if (this.data.length > 0) {
+          events.push({ event: this.event || 'message', data: this.data.join('\n') });
+        }
+        this.event = '';
+        this.data = [];
+        continue;
+      }
+      if (line.startsWith(':')) continue;
+
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+
+      if (field === 'event') this.event = value;
+      else if (field === 'data') this.data.push(value);
+    }
+
+    return events;
+  }
+}
+
+/**
+ * A tool call and the parser its argument text is routed to
+ */
+interface ToolCallEntry {
+  call: ToolCall;
+  parser: StreamingJsonParser;
+  received: boolean;
+}
+
+/**
+ * Reads a provider's raw SSE stream and routes each tool call's argument
+ * deltas to its own StreamingJsonParser, so every call exposes partial
+ * arguments independently of the others
+ */
+export class ToolCallStream {
+  private events = new ServerSentEventReader();
+  private entries = new Map<number, ToolCallEntry>();
+  private changed = new Set<number>();
+
+  constructor(private provider: ToolCallProvider, private config: JsonParserConfig = {}) {}
+
+  /**
+   * Appends raw SSE text and returns the tool calls it changed
+   */
+  write(chunk: string): ToolCall[] {
+    this.events.write(chunk).forEach(event => this.handleEvent(event));
+    return this.flushChanges();
+  }
+
+  /**
+   * Ends the stream, handling a final event that lacks its blank line, and
+   * marks every call as complete
+   */
+  end(): ToolCall[] {
+    this.events.end().forEach(event => this.handleEvent(event));
+    this.entries.forEach(entry => this.finish(entry));
+    return this.flushChanges();
+  }
+
+  /**
+   * Gets every tool call seen so far, ordered by index
+   */
+  getToolCalls(): ToolCall[] {
+    return [...this.entries.values()]
+      .sort((a, b) => a.call.index - b.call.index)
+      .map(entry => ({ ...entry.call }));
+  }
+
+  /**
+   * Gets the parser of a tool call, for subscribing to its structural events
+   */
+  getParser(index: number): StreamingJsonParser | undefined {
+    return this.entries.get(index)?.parser;
+  }
+
+  private handleEvent({ event, data }: ServerSentEvent): void {
+    if (data === '[DONE]') {
+      this.entries.forEach(entry => this.finish(entry));
+      return;
+    }
+
+    let payload: any;
+    try {
+      payload = JSON.parse(data);
+    } catch {
+      return;
+    }
+
+    if (this.provider === 'openai') this.handleOpenAI(payload);
+    else if (this.provider === 'anthropic') this.handleAnthropic(payload.type || event, payload);
+    else this.handleGemini(payload);
+  }
+
+  private handleOpenAI(payload: any): void {
+    // Only the first choice is followed; tool-call indexes restart per choice
+    const choice = (payload.choices || []).find((candidate: any) => (candidate.index ?? 0) === 0);
+    if (!choice) return;
+
+    for (const delta of (choice.delta && choice.delta.tool_calls) || []) {
+      // Calls stream one after another, so a new index ends the earlier ones
+      this.entries.forEach(entry => entry.call.index < delta.index && this.finish(entry));
+
+      const entry = this.entry(delta.index);
+      if (delta.id) entry.call.id = delta.id;
+      if (delta.function && delta.function.name) entry.call.name = delta.function.name;
+      if (delta.function && delta.function.arguments) this.appendArguments(entry, delta.function.arguments);
+    }
+
+    if (choice.finish_reason) {
+      this.entries.forEach(entry => this.finish(entry));
+    }
+  }
+
+  private handleAnthropic(type: string, payload: any): void {
+    if (type === 'content_block_start' && payload.content_block && payload.content_block.type === 'tool_use') {
+      const entry = this.entry(payload.index);
+      entry.call.id = payload.content_block.id;
+      entry.call.name = payload.content_block.name;
+    } else if (type === 'content_block_delta' && payload.delta && payload.delta.type === 'input_json_delta') {
+      const entry = this.entries.get(payload.index);
+      if (entry && payload.delta.partial_json) this.appendArguments(entry, payload.delta.partial_json);
+    } else if (type === 'content_block_stop') {
+      const entry = this.entries.get(payload.index);
+      if (entry) this.finish(entry);
+    }
+  }
+
+  private handleGemini(payload: any): void {
+    const candidate = (payload.candidates || [])[0];
+    const parts = (candidate && candidate.content && candidate.content.parts) || [];
+
+    for (const part of parts) {
+      if (!part.functionCall) continue;
+
+      // Gemini sends each call whole, with args already an object
+      const entry = this.entry(this.entries.size);
+      entry.call.name = part.functionCall.name;
+      if (part.functionCall.id) entry.call.id = part.functionCall.id;
+      this.appendArguments(entry, JSON.stringify(part.functionCall.args || {}));
+      this.finish(entry);
+    }
+  }
+
+  private entry(index: number): ToolCallEntry {
+    let entry = this.entries.get(index);
+    if (!entry) {
+      entry = {
+        call: { index, arguments: undefined, isComplete: false },
+        parser: new StreamingJsonParser({ ...this.config, returnParsedJson: true, includeMetadata: false }),
+        received: false,
+      };
+      this.entries.set(index, entry);
+    }
+    this.changed.add(index);
+    return entry;
+  }
+
+  private appendArguments(entry: ToolCallEntry, text: string): void {
+    entry.received = true;
+    entry.call.arguments = entry.parser.appendChunk(text);
+    this.changed.add(entry.call.index);
+  }
+
+  private finish(entry: ToolCallEntry): void {
+    if (entry.call.isComplete) return;
+    entry.call.isComplete = true;
+    // A function without parameters may finish without any argument text
+    if (!entry.received) entry.call.arguments = {};
+    this.changed.add(entry.call.index);
+  }
+
+  private flushChanges(): ToolCall[] {
+    const calls = this.getToolCalls().filter(call => this.changed.has(call.index));
+    this.changed.clear();
+    return calls;
+  }
+}
+
+/**
+ * Creates a ToolCallStream for a provider's SSE format
+ * @param provider Wire format of the stream
+ * @param config Configuration for the per-call argument parsers
+ * @returns ToolCallStream instance
+ */
+export const createToolCallStream = (provider: ToolCallProvider, config: JsonParserConfig = {}): ToolCallStream => {
+  return new ToolCallStream(provider, config);
+};
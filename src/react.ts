@@ -0,0 +1,166 @@
+import { useEffect, useRef, useState } from 'react';
+import { DeepPartial, PartialSnapshot } from './index';
+import { parsePartialJson, ParsePartialJsonOptions } from './streams';
+
+/**
+ * Anything useStreamingJson can read JSON text or UTF-8 bytes from
+ */
+export type StreamingJsonSource =
+  | Response
+  | ReadableStream<string | Uint8Array>
+  | AsyncIterable<string | Uint8Array>;
+
+/**
+ * Options for useStreamingJson: parsePartialJson options, read once when a
+ * source starts streaming. The hook sets includeMetadata and its own signal.
+ */
+export type UseStreamingJsonOptions<T = any> = Omit<ParsePartialJsonOptions<T>, 'includeMetadata' | 'signal'>;
+
+/**
+ * State returned by useStreamingJson
+ */
+export interface StreamingJsonState<T = any> {
+  /** Latest partial value, then the whole document; null until the first value */
+  data: DeepPartial<T> | T | null;
+  /** Whether the source is still being read */
+  isStreaming: boolean;
+  /** Why the stream stopped early, if it did */
+  error: Error | null;
+  /** Paths of values that are still incomplete */
+  incompletePaths: string[];
+}
+
+const IDLE: StreamingJsonState = { data: null, isStreaming: false, error: null, incompletePaths: [] };
+
+/**
+ * Runs a callback before the next repaint, or after a frame's worth of time
+ * where there is no requestAnimationFrame (tests, server rendering)
+ * @returns Function that cancels the callback
+ */
+const scheduleFrame = (callback: () => void): (() => void) => {
+  if (typeof requestAnimationFrame === 'function') {
+    const id = requestAnimationFrame(callback);
+    return () => cancelAnimationFrame(id);
+  }
+  const id = setTimeout(callback, 16);
+  return () => clearTimeout(id);
+};
+
+const isResponse = (source: StreamingJsonSource): source is Response =>
+  typeof (source as Response).arrayBuffer === 'function' && 'body' in source;
+
+/**
+ * Reads the body of a fetch Response; other sources are read as they are
+ */
+const toChunkSource = (source: StreamingJsonSource): ReadableStream<string | Uint8Array> | AsyncIterable<string | Uint8Array> => {
+  if (!isResponse(source)) return source;
+  if (!source.ok) throw new Error(`Request failed with status ${source.status}`);
+  if (!source.body) throw new Error('Response has no body');
+  return source.body;
+};
+
+const toError = (error: unknown): Error => (error instanceof Error ? error : new Error(String(error)));
+
+/**
+ * A source being read into the hook's state
+ */
+interface SourceRead {
+  source: StreamingJsonSource;
+  controller: AbortController;
+  /** Whether no effect is using it any more; it is stopped unless one takes it back */
+  detached: boolean;
+}
+
+/**
+ * Starts reading a source, passing each partial value to setState
+ */
+const readSource = <T>(
+  source: StreamingJsonSource,
+  options: UseStreamingJsonOptions<T>,
+  setState: (state: StreamingJsonState<T>) => void
+): SourceRead => {
+  const read: SourceRead = { source, controller: new AbortController(), detached: false };
+  const signal = read.controller.signal;
+  let latest: PartialSnapshot<T> | null = null;
+  let cancelFrame: (() => void) | null = null;
+
+  const show = (isStreaming: boolean, error: Error | null = null) => {
+    // Stopped by the effect cleanup, so nothing is listening any more
+    if (signal.aborted) return;
+    if (cancelFrame) cancelFrame();
+    cancelFrame = null;
+    setState({
+      data: latest ? latest.value : null,
+      isStreaming,
+      error,
+      incompletePaths: latest ? latest.incompletePaths : [],
+    });
+  };
+  signal.addEventListener('abort', () => {
+    if (cancelFrame) cancelFrame();
+  });
+
+  setState({ ...IDLE, isStreaming: true });
+
+  (async () => {
+    try {
+      const results = parsePartialJson<T>(toChunkSource(source), { ...options, includeMetadata: true, signal });
+      for await (const result of results) {
+        latest = result;
+        if (!cancelFrame) cancelFrame = scheduleFrame(() => show(true));
+      }
+      show(false);
+    } catch (error) {
+      show(false, toError(error));
+    }
+  })();
+
+  return read;
+};
+
+/**
+ * React hook that parses a stream of JSON and re-renders with the partial
+ * value as it grows. State updates are batched to one per animation frame;
+ * the last value, or an error, is applied as soon as the stream ends.
+ * Changing the source or unmounting cancels the stream being read, but the
+ * effect running twice in StrictMode does not.
+ * @param source fetch Response, ReadableStream or async iterable of JSON text or bytes; null to stay idle
+ * @param options parsePartialJson options such as schema, repair or throttleMs
+ * @returns The latest data, whether it is still streaming, any error and the incomplete paths
+ */
+export function useStreamingJson<T = any>(
+  source: StreamingJsonSource | null | undefined,
+  options: UseStreamingJsonOptions<T> = {}
+): StreamingJsonState<T> {
+  const [state, setState] = useState<StreamingJsonState<T>>(IDLE);
+  const optionsRef = useRef(options);
+  optionsRef.current = options;
+  const readRef = useRef<SourceRead | null>(null);
+
+  useEffect(() => {
+    if (!source) {
+      setState(IDLE);
+      return;
+    }
+
+    let read = readRef.current;
+    if (!read || read.source !== source || read.controller.signal.aborted) {
+      read = readSource(source, optionsRef.current, setState);
+      readRef.current = read;
+    }
+    read.detached = false;
+
+    const current = read;
+    return () => {
+      // StrictMode runs the effect again straight after this cleanup. A stream
+      // can only be read once, so that run takes this read back, and it is
+      // only cancelled if nothing has by the next microtask.
+      current.detached = true;
+      Promise.resolve().then(() => {
+        if (current.detached) current.controller.abort();
+      });
+    };
+  }, [source]);
+
+  return state;
+}
@@ -0,0 +1,187 @@
+import { JsonExtractor } from './extract';
+import { JsonParserConfig, StreamingJsonParser } from './index';
+import { JsonRepairer } from './repair';
+import { JsonTokenizer, StructureEvent } from './tokenizer';
+
+/**
+ * Parses a stream of several top-level JSON values, either newline-delimited
+ * (NDJSON) or simply concatenated like `{...}{...}`. Each record is parsed by
+ * the same StreamingJsonParser, which is reset as soon as a record closes;
+ * whatever followed it in the chunk starts the next record.
+ *
+ * With repair, the whole stream is rewritten into strict JSON before it is
+ * split, so comments between or inside records cannot end one early. A bare
+ * word such as `True` is then only part of the current record once it ends.
+ * With extractJson, each object or array is picked out of the prose around
+ * it first, and the search starts over after each one.
+ */
+export class StreamingRecordParser {
+  private parser: StreamingJsonParser;
+  /** Finds where top-level values end; runs over the whole stream */
+  private boundaries: JsonTokenizer;
+  /** Rewrites lenient input for the whole stream, when repair is set */
+  private repairer: JsonRepairer | null = null;
+  /** Finds the next record in surrounding prose, when extractJson is set */
+  private extractor: JsonExtractor | null = null;
+  /** Raw characters the extractor has read since it started looking */
+  private scanned: number = 0;
+  /** Characters of the value the extractor has passed on so far */
+  private extracted: number = 0;
+  private consumed: number = 0;
+  private started: boolean = false;
+  private current: any = undefined;
+  private truncated: boolean = false;
+
+  constructor(private config: JsonParserConfig = {}) {
+    this.parser = new StreamingJsonParser({ ...config, returnParsedJson: true, extractJson: false, repair: false });
+    this.boundaries = new JsonTokenizer(config.quoteType || 'both');
+    if (config.extractJson) {
+      this.extractor = new JsonExtractor();
+    }
+    if (config.repair) {
+      this.repairer = new JsonRepairer(() => JSON.stringify(config.nonFiniteValue ?? null) ?? 'null');
+    }
+  }
+
+  /**
+   * Appends a chunk and returns the records it completed, in order
+   */
+  appendChunk(chunk: string): any[] {
+    if (this.extractor) chunk = this.extract(chunk);
+    return this.split(this.repairer ? this.repairer.write(chunk) : chunk);
+  }
+
+  /**
+   * Passes on only the JSON values in a raw chunk, dropping the prose around
+   * them. The extractor stops at the end of a value, so it is started again
+   * on whatever follows.
+   */
+  private extract(chunk: string): string {
+    const extractor = this.extractor!;
+    let output = '';
+    for (;;) {
+      const text = extractor.write(chunk, !!this.config.repair);
+      output += text;
+      this.extracted += text.length;
+      if (!extractor.isClosed()) {
+        this.scanned += chunk.length;
+        return output;
+      }
+
+      // Every character from the start of the value to its end was passed on
+      chunk = chunk.slice(extractor.offset + this.extracted - this.scanned);
+      extractor.reset();
+      this.scanned = 0;
+      this.extracted = 0;
+    }
+  }
+
+  /**
+   * Splits strict JSON text into records, returning those it completed
+   */
+  private split(chunk: string): any[] {
+    const ends: number[] = [];
+    const collect = (event: StructureEvent) => {
+      if (event.type === 'end' && event.path.length === 0) ends.push(event.end - this.consumed);
+    };
+    // Offsets refer to the text as consumed, after stray closers are dropped
+    chunk = this.boundaries.write(chunk, collect);
+    this.consumed += chunk.length;
+
+    const records: any[] = [];
+    let position = 0;
+    for (const end of ends) {
+      this.feed(chunk.slice(position, end));
+      records.push(this.finishRecord());
+      position = end;
+    }
+    this.feed(chunk.slice(position));
+
+    return records;
+  }
+
+  /**
+   * Ends the stream and returns the last record if one was still open and is
+   * whole, such as a number with no newline after it. A record cut off
+   * mid-value, such as `{"b": 2`, is not returned with the others: it stays
+   * available, completed, from getCurrentRecord(), and isTruncated() is true.
+   */
+  end(): any[] {
+    let records: any[] = [];
+    if (this.repairer) {
+      // A bare word still held back is as long as it gets
+      records = this.split(this.repairer.flush());
+      this.repairer.reset();
+    }
+    if (!this.started) return records;
+
+    try {
+      JSON.parse(this.parser.getText());
+    } catch {
+      this.truncated = true;
+      return records;
+    }
+    return [...records, this.finishRecord()];
+  }
+
+  /**
+   * Gets the partial value of the record being streamed, or undefined
+   * between records. After end(), this is the record that was cut off, if any.
+   */
+  getCurrentRecord(): any {
+    return this.current;
+  }
+
+  /**
+   * Whether the stream ended in the middle of a record
+   */
+  isTruncated(): boolean {
+    return this.truncated;
+  }
+
+  /**
+   * Resets the parser state
+   */
+  reset(): void {
+    this.parser.reset();
+    this.boundaries.reset();
+    if (this.repairer) this.repairer.reset();
+    if (this.extractor) this.extractor.reset();
+    this.scanned = 0;
+    this.extracted = 0;
+    this.consumed = 0;
+    this.started = false;
+    this.current = undefined;
+    this.truncated = false;
+  }
+
+  /**
+   * Passes text to the record parser, skipping newlines, whitespace and
+   * commas between records
+   */
+  private feed(text: string): void {
+    if (!this.started) {
+      text = text.replace(/^[\s,]+/, '');
+      if (!text) return;
+      this.started = true;
+    }
+    this.current = this.parser.appendChunk(text);
+  }
+
+  private finishRecord(): any {
+    const record = this.config.includeMetadata ? this.current.value : this.current;
+    this.parser.reset();
+    this.started = false;
+    this.current = undefined;
+    return record;
+  }
+}
+
+/**
+ * Creates a parser for newline-delimited or concatenated JSON values
+ * @param config Configuration for parsing each record
+ * @returns StreamingRecordParser instance
+ */
+export const createRecordParser = (config: JsonParserConfig = {}): StreamingRecordParser => {
+  return new StreamingRecordParser(config);
+};
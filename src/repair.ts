@@ -0,0 +1,361 @@
+import { JsonRepair } from './tokenizer';
+
+const isWhitespace = (char: string): boolean => char.trim() === '';
+
+const isIdentifierStart = (char: string): boolean => /^[A-Za-z_$]$/.test(char);
+
+const isIdentifierChar = (char: string): boolean => /^[\w$]$/.test(char);
+
+/** Short escapes for control characters that may not appear raw in a JSON string */
+const CONTROL_ESCAPES: Record<string, string> = { '\b': '\\b', '\f': '\\f', '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+
+const escapeControl = (char: string): string =>
+  CONTROL_ESCAPES[char] || `\\u${('000' + char.charCodeAt(0).toString(16)).slice(-4)}`;
+
+/**
+ * Scanning state of a JsonRepairer, as plain data
+ */
+export interface RepairerState {
+  stack: string[];
+  expectsKey: boolean;
+  quote: string;
+  escaped: boolean;
+  unquotedKey: boolean;
+  word: string;
+  inNumber: boolean;
+  minus: boolean;
+  slash: boolean;
+  comment: '' | 'line' | 'block';
+  star: boolean;
+  held: string;
+  written: number;
+  repairs: JsonRepair[];
+}
+
+/**
+ * Rewrites lenient, JSON5-style text into strict JSON as it streams in:
+ * single-quoted strings, unquoted keys, `//` and `/* *\/` comments, trailing
+ * commas, raw control characters in strings, Python's `True`/`False`/`None`
+ * and `NaN`/`Infinity`.
+ *
+ * Characters whose meaning depends on what follows (a bare word, a comma, a
+ * minus sign, a slash, a backslash) are held back until it is known; pending()
+ * describes the held text for completing a snapshot in the meantime. Each
+ * rewrite except escaping a control character is recorded, at its offset in
+ * the strict JSON.
+ */
+export class JsonRepairer {
+  /** Open containers, innermost last */
+  private stack: string[] = [];
+  /** Whether the innermost object expects a key next */
+  private expectsKey: boolean = false;
+  /** Quote character of the open string, or '' outside strings */
+  private quote: string = '';
+  private escaped: boolean = false;
+  private unquotedKey: boolean = false;
+  /** Bare word in value position, such as `True` or `-Infinity` */
+  private word: string = '';
+  private inNumber: boolean = false;
+  private minus: boolean = false;
+  private slash: boolean = false;
+  private comment: '' | 'line' | 'block' = '';
+  private star: boolean = false;
+  /** A comma and the whitespace after it, dropped if a closing bracket follows */
+  private held: string = '';
+  /** Length of the strict JSON returned so far */
+  private written: number = 0;
+  private repairs: JsonRepair[] = [];
+
+  /**
+   * @param nonFinite Returns the JSON text to write for NaN and Infinity
+   */
+  constructor(private nonFinite: () => string) {}
+
+  /**
+   * Consumes lenient text and returns the strict JSON that is settled so far
+   */
+  write(chunk: string): string {
+    let output = '';
+    for (let i = 0; i < chunk.length; i++) {
+      const text = this.step(chunk[i]);
+      output += text;
+      this.written += text.length;
+    }
+    return output;
+  }
+
+  /**
+   * Returns the strict JSON text for what is held back. A bare word that is
+   * still being typed maps to the first keyword it could become, unless
+   * `exact` is set, as when the stream has ended.
+   */
+  pending(exact: boolean = false): string {
+    return this.word ? this.mapWord(this.word, !exact) : '';
+  }
+
+  /**
+   * Ends the input: returns the bare word still held back, as long as it gets
+   */
+  flush(): string {
+    if (!this.word) return '';
+    const word = this.mapWord(this.word, false);
+    if (word !== this.word) this.record(`Replaced ${this.word} with ${word}`);
+    this.word = '';
+    this.written += word.length;
+    return word;
+  }
+
+  /**
+   * Gets the rewrites of lenient syntax made so far
+   */
+  getRepairs(): JsonRepair[] {
+    return this.repairs.slice();
+  }
+
+  /**
+   * Copies the scanning state into plain data, to continue elsewhere with load()
+   */
+  save(): RepairerState {
+    return {
+      stack: this.stack.slice(),
+      expectsKey: this.expectsKey,
+      quote: this.quote,
+      escaped: this.escaped,
+      unquotedKey: this.unquotedKey,
+      word: this.word,
+      inNumber: this.inNumber,
+      minus: this.minus,
+      slash: this.slash,
+      comment: this.comment,
+      star: this.star,
+      held: this.held,
+      written: this.written,
+      repairs: this.repairs.slice(),
+    };
+  }
+
+  /**
+   * Continues from data returned by save()
+   */
+  load(state: RepairerState): void {
+    Object.assign(this, state, { stack: state.stack.slice(), repairs: state.repairs.slice() });
+  }
+
+  /**
+   * Forgets everything seen so far
+   */
+  reset(): void {
+    this.stack = [];
+    this.expectsKey = false;
+    this.quote = '';
+    this.escaped = false;
+    this.unquotedKey = false;
+    this.word = '';
+    this.inNumber = false;
+    this.minus = false;
+    this.slash = false;
+    this.comment = '';
+    this.star = false;
+    this.held = '';
+    this.written = 0;
+    this.repairs = [];
+  }
+
+  private step(char: string): string {
+    if (this.comment === 'line') {
+      if (char !== '\n' && char !== '\r') return '';
+      this.comment = '';
+      return this.whitespace(char);
+    }
+
+    if (this.comment === 'block') {
+      if (this.star && char === '/') this.comment = '';
+      this.star = char === '*';
+      return '';
+    }
+
+    if (this.quote) {
+      return this.stringChar(char);
+    }
+
+    if (this.unquotedKey) {
+      if (isIdentifierChar(char)) return char;
+      this.unquotedKey = false;
+      return this.stepAfter('"', char);
+    }
+
+    if (this.word) {
+      if (isIdentifierChar(char)) {
+        this.word += char;
+        return '';
+      }
+      const word = this.mapWord(this.word, false);
+      if (word !== this.word) this.record(`Replaced ${this.word} with ${word}`);
+      this.word = '';
+      return this.stepAfter(word, char);
+    }
+
+    if (this.slash) {
+      this.slash = false;
+      if (char === '/' || char === '*') {
+        this.comment = char === '/' ? 'line' : 'block';
+        this.star = false;
+        this.record(`Dropped ${this.comment} comment`, this.held.length);
+        return '';
+      }
+      return this.stepAfter(this.release() + '/', char);
+    }
+
+    if (this.minus) {
+      this.minus = false;
+      if (isIdentifierStart(char)) {
+        this.word = '-' + char;
+        return '';
+      }
+      return this.stepAfter('-', char);
+    }
+
+    if (isWhitespace(char)) {
+      this.inNumber = false;
+      return this.whitespace(char);
+    }
+
+    if (char === '/') {
+      this.slash = true;
+      return '';
+    }
+
+    if (char === '}' || char === ']') {
+      // A comma right before a closing bracket is dropped, its whitespace kept
+      if (this.held) this.record('Dropped trailing comma');
+      const output = this.held.slice(1);
+      this.held = '';
+      // Like the tokenizer, close up to the matching opener, if any
+      const depth = this.stack.lastIndexOf(char === '}' ? '{' : '[');
+      if (depth >= 0) this.stack.length = depth;
+      this.expectsKey = false;
+      this.inNumber = false;
+      return output + char;
+    }
+
+    let output = this.release();
+    if (char === ',') {
+      this.held = ',';
+      this.expectsKey = this.stack[this.stack.length - 1] === '{';
+      this.inNumber = false;
+      return output;
+    }
+
+    if (char === '{' || char === '[') {
+      this.stack.push(char);
+      this.expectsKey = char === '{';
+    } else if (char === ':') {
+      this.expectsKey = false;
+    } else if (char === '"' || char === "'") {
+      this.quote = char;
+      if (char === "'") this.record('Replaced single quotes with double quotes', output.length);
+      return output + '"';
+    } else if (char === '-' && !this.inNumber) {
+      this.minus = true;
+      return output;
+    } else if (isIdentifierStart(char) && !this.inNumber) {
+      if (this.expectsKey) {
+        this.unquotedKey = true;
+        this.record('Quoted key', output.length);
+        return output + '"' + char;
+      }
+      this.word = char;
+      return output;
+    } else if (!this.inNumber) {
+      this.inNumber = true;
+    }
+
+    if (char === '{' || char === '[' || char === ':') this.inNumber = false;
+    return output + char;
+  }
+
+  /**
+   * Steps on a character whose output follows `prefix`, so that rewrites it
+   * records are placed after the prefix
+   */
+  private stepAfter(prefix: string, char: string): string {
+    this.written += prefix.length;
+    const output = this.step(char);
+    this.written -= prefix.length;
+    return prefix + output;
+  }
+
+  /**
+   * Records a rewrite at `offset` characters into the output of this step
+   */
+  private record(description: string, offset: number = 0): void {
+    this.repairs.push({ position: this.written + offset, description });
+  }
+
+  /**
+   * Rewrites one character of an open string
+   */
+  private stringChar(char: string): string {
+    if (this.escaped) {
+      this.escaped = false;
+      // `\'` is only needed in single-quoted strings; JSON has no such escape
+      return char === "'" ? "'" : '\\' + char;
+    }
+    if (char === '\\') {
+      this.escaped = true;
+      return '';
+    }
+    if (char === this.quote) {
+      this.quote = '';
+      return '"';
+    }
+    if (char === '"') {
+      return '\\"';
+    }
+    return char < ' ' ? escapeControl(char) : char;
+  }
+
+  /**
+   * Maps a bare word to its strict JSON form; unknown words are kept as they are
+   */
+  private mapWord(word: string, partial: boolean): string {
+    const keywords: Record<string, string> = {
+      true: 'true',
+      True: 'true',
+      false: 'false',
+      False: 'false',
+      null: 'null',
+      None: 'null',
+      NaN: this.nonFinite(),
+      Infinity: this.nonFinite(),
+      '-Infinity': this.nonFinite(),
+    };
+
+    if (Object.prototype.hasOwnProperty.call(keywords, word)) return keywords[word];
+    if (partial) {
+      const keyword = Object.keys(keywords).find(candidate => candidate.startsWith(word));
+      if (keyword) return keywords[keyword];
+    }
+    return word;
+  }
+
+  /**
+   * Emits whitespace, or holds it after a held comma
+   */
+  private whitespace(char: string): string {
+    if (this.held) {
+      this.held += char;
+      return '';
+    }
+    return char;
+  }
+
+  /**
+   * Emits the held comma once something other than a closing bracket follows
+   */
+  private release(): string {
+    const held = this.held;
+    this.held = '';
+    return held;
+  }
+}
@@ -0,0 +1,231 @@
+import { formatJsonPointer, PathSegment } from './path';
+
+/**
+ * Type names understood by the `type` keyword
+ */
+export type JsonSchemaType = 'string' | 'number' | 'integer' | 'boolean' | 'null' | 'object' | 'array';
+
+/**
+ * The subset of JSON Schema checked against partial values
+ */
+export interface JsonSchema {
+  type?: JsonSchemaType | readonly JsonSchemaType[];
+  enum?: readonly unknown[];
+  const?: unknown;
+  properties?: Readonly<Record<string, JsonSchema>>;
+  required?: readonly string[];
+  /** false rejects keys missing from properties; a schema checks their values */
+  additionalProperties?: boolean | JsonSchema;
+  items?: JsonSchema;
+  anyOf?: readonly JsonSchema[];
+  oneOf?: readonly JsonSchema[];
+  minimum?: number;
+  maximum?: number;
+  minLength?: number;
+  maxLength?: number;
+  minItems?: number;
+  maxItems?: number;
+}
+
+/**
+ * Key of the type a TypedJsonSchema describes; exists only for the type checker
+ */
+export declare const schemaType: unique symbol;
+
+/**
+ * A JSON Schema that carries the TypeScript type it describes, so a parser
+ * given it is typed without a type argument
+ */
+export type TypedJsonSchema<T> = JsonSchema & { readonly [schemaType]?: T };
+
+type Simplify<T> = { [K in keyof T]: T[K] } & {};
+
+type RequiredKeys<S> = S extends { required: readonly (infer K)[] } ? K : never;
+
+type InferObject<S> = S extends { properties: infer P }
+  ? Simplify<
+      { -readonly [K in keyof P as K extends RequiredKeys<S> ? K : never]: InferSchema<P[K]> } &
+      { -readonly [K in keyof P as K extends RequiredKeys<S> ? never : K]?: InferSchema<P[K]> }
+    >
+  : Record<string, unknown>;
+
+type InferType<U, S> =
+  U extends 'string' ? string
+  : U extends 'number' | 'integer' ? number
+  : U extends 'boolean' ? boolean
+  : U extends 'null' ? null
+  : U extends 'array' ? (S extends { items: infer I } ? InferSchema<I>[] : unknown[])
+  : U extends 'object' ? InferObject<S>
+  : unknown;
+
+type InferStructure<S> =
+  S extends { const: infer C } ? C
+  : S extends { enum: readonly (infer E)[] } ? E
+  : S extends { anyOf: readonly (infer B)[] } ? InferSchema<B>
+  : S extends { oneOf: readonly (infer B)[] } ? InferSchema<B>
+  : S extends { type: readonly (infer U)[] } ? InferType<U, S>
+  : S extends { type: infer U } ? InferType<U, S>
+  : unknown;
+
+/**
+ * The TypeScript type a schema describes: the type it carries, if any, or
+ * one read from a schema literal declared `as const`
+ */
+export type InferSchema<S> = S extends { readonly [schemaType]?: infer T }
+  ? (unknown extends T ? InferStructure<S> : T)
+  : InferStructure<S>;
+
+/**
+ * Declares a schema literal, typed as the value it describes
+ * @param schema JSON Schema; its literal types are kept without `as const`
+ * @returns The same schema
+ */
+export const defineSchema = <const S extends JsonSchema>(schema: S): TypedJsonSchema<InferSchema<S>> => schema;
+
+/**
+ * A way in which a value breaks its schema
+ */
+export interface SchemaViolation {
+  /** JSON Pointer of the offending value; for a missing property, of its object */
+  path: string;
+  /** Schema keyword that failed, such as 'type' or 'additionalProperties' */
+  keyword: string;
+  message: string;
+}
+
+/**
+ * What is known about how far each value has streamed
+ */
+export interface SchemaContext {
+  /** JSON Pointers of values still being streamed */
+  incomplete: Set<string>;
+  /** JSON Pointers of placeholders that hold no received data */
+  synthetic: Set<string>;
+}
+
+const typeOf = (value: unknown): JsonSchemaType => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value as JsonSchemaType;
+};
+
+const matchesType = (value: unknown, type: JsonSchemaType): boolean => {
+  if (type === 'integer') return Number.isInteger(value);
+  return typeOf(value) === type;
+};
+
+const deepEqual = (a: unknown, b: unknown): boolean => {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keys = Object.keys(a as object);
+  if (keys.length !== Object.keys(b as object).length) return false;
+  return keys.every(key => deepEqual((a as any)[key], (b as any)[key]));
+};
+
+/** JSON Schema measures strings in code points */
+const lengthOf = (text: string): number => Array.from(text).length;
+
+/**
+ * Checks a value against a schema. Values that are still streaming only fail
+ * when no continuation could make them valid: a partial string must be a
+ * prefix of an allowed one, and a partial object or array is not yet missing
+ * anything. Placeholders are skipped, since they hold no received data.
+ * @param schema Schema to check against
+ * @param value Parsed snapshot
+ * @param context Paths still streaming and paths filled with placeholders
+ * @returns Every violation found, outermost first
+ */
+export const validateSchema = (
+  schema: JsonSchema,
+  value: unknown,
+  context: SchemaContext,
+  path: PathSegment[] = []
+): SchemaViolation[] => {
+  const pointer = formatJsonPointer(path);
+  if (context.synthetic.has(pointer)) return [];
+
+  const partial = context.incomplete.has(pointer);
+  const violations: SchemaViolation[] = [];
+  const fail = (keyword: string, message: string, at: string = pointer) => violations.push({ path: at, keyword, message });
+
+  if (schema.type !== undefined) {
+    const types: readonly JsonSchemaType[] = typeof schema.type === 'string' ? [schema.type] : schema.type;
+    if (!types.some(type => matchesType(value, type))) {
+      // Nothing else about a value of the wrong type is worth reporting
+      fail('type', `Expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return violations;
+    }
+  }
+
+  const candidates = schema.enum ?? (schema.const !== undefined ? [schema.const] : undefined);
+  if (candidates) {
+    // Numbers and containers may still change in any direction, so only strings are checked early
+    const possible = !partial
+      ? candidates.some(candidate => deepEqual(candidate, value))
+      : typeof value !== 'string' || candidates.some(candidate => typeof candidate === 'string' && candidate.startsWith(value));
+    if (!possible) {
+      const keyword = schema.enum ? 'enum' : 'const';
+      fail(keyword, `Expected ${schema.enum ? 'one of ' : ''}${candidates.map(candidate => JSON.stringify(candidate)).join(', ')}`);
+    }
+  }
+
+  if (typeof value === 'number' && !partial) {
+    if (schema.minimum !== undefined && value < schema.minimum) fail('minimum', `Expected at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail('maximum', `Expected at most ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    // A string only grows, so a partial one that is already too long stays too long
+    const length = lengthOf(value);
+    if (schema.maxLength !== undefined && length > schema.maxLength) fail('maxLength', `Expected at most ${schema.maxLength} characters`);
+    if (schema.minLength !== undefined && length < schema.minLength && !partial) fail('minLength', `Expected at least ${schema.minLength} characters`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail('maxItems', `Expected at most ${schema.maxItems} items`);
+    if (schema.minItems !== undefined && value.length < schema.minItems && !partial) fail('minItems', `Expected at least ${schema.minItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => violations.push(...validateSchema(schema.items!, item, context, [...path, index])));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const object = value as Record<string, unknown>;
+    const properties = schema.properties || {};
+
+    for (const key of Object.keys(object)) {
+      const childPath = [...path, key];
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        violations.push(...validateSchema(properties[key], object[key], context, childPath));
+      } else if (schema.additionalProperties === false) {
+        // A key completed with a placeholder may be cut off, so it only has to begin a known key
+        const cutOff = context.synthetic.has(formatJsonPointer(childPath));
+        if (!cutOff || !Object.keys(properties).some(name => name.startsWith(key))) {
+          fail('additionalProperties', `Unexpected property '${key}'`, formatJsonPointer(childPath));
+        }
+      } else if (typeof schema.additionalProperties === 'object') {
+        violations.push(...validateSchema(schema.additionalProperties, object[key], context, childPath));
+      }
+    }
+
+    if (!partial) {
+      for (const key of schema.required || []) {
+        if (!Object.prototype.hasOwnProperty.call(object, key)) fail('required', `Missing required property '${key}'`);
+      }
+    }
+  }
+
+  const branches = schema.anyOf || schema.oneOf;
+  if (branches) {
+    const matches = branches.filter(branch => validateSchema(branch, value, context, path).length === 0).length;
+    // While streaming, a value may still match several oneOf branches
+    const valid = schema.oneOf && !partial ? matches === 1 : matches > 0;
+    if (!valid) {
+      fail(schema.anyOf ? 'anyOf' : 'oneOf', matches > 1 ? 'Matches more than one allowed schema' : 'Does not match any allowed schema');
+    }
+  }
+
+  return violations;
+};
@@ -0,0 +1,254 @@
+import { findSyntaxError, IncompleteJsonError, UnrecoverableJsonError } from './errors';
+import { createStreamingParser, DeepPartial, JsonParserConfig, PartialResult, PartialSnapshot } from './index';
+
+/**
+ * Feeds raw stream chunks into a parser, decoding bytes as UTF-8
+ */
+export interface ChunkReader {
+  /** Appends a chunk; returns null when it did not add any text */
+  write(chunk: string | Uint8Array): PartialResult | null;
+  /** Decodes any bytes still buffered at the end of the stream */
+  end(): PartialResult | null;
+}
+
+/**
+ * Creates a function that turns chunks into text. Strings pass through; bytes
+ * go through one streaming TextDecoder, so a multi-byte character split
+ * between two chunks is decoded once both halves arrive. Calling it without a
+ * chunk flushes any bytes still buffered.
+ */
+const createDecoder = () => {
+  const decoder = new TextDecoder('utf-8');
+  return (chunk?: string | Uint8Array): string => {
+    if (chunk === undefined) return decoder.decode();
+    return typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+  };
+};
+
+/**
+ * Creates a reader that turns string or byte chunks into partial results
+ * @param config Parser configuration; returnParsedJson defaults to true
+ * @returns ChunkReader instance
+ */
+export const createChunkReader = (config: JsonParserConfig = {}): ChunkReader => {
+  const parser = createStreamingParser({ returnParsedJson: true, ...config, includeMetadata: true });
+  const decode = createDecoder();
+
+  const append = (text: string): PartialResult | null => (text ? parser.appendChunk(text) : null);
+
+  return {
+    write: chunk => append(decode(chunk)),
+    end: () => append(decode()),
+  };
+};
+
+/**
+ * Creates a WHATWG TransformStream that parses streamed JSON text or bytes,
+ * emitting a partial result for every chunk that adds text
+ * @param config Parser configuration; returnParsedJson defaults to true
+ * @returns TransformStream to use with `readable.pipeThrough()`
+ */
+export const createJsonTransformStream = (config: JsonParserConfig = {}): TransformStream<string | Uint8Array, PartialResult> => {
+  const reader = createChunkReader(config);
+
+  return new TransformStream<string | Uint8Array, PartialResult>({
+    transform(chunk, controller) {
+      const result = reader.write(chunk);
+      if (result) controller.enqueue(result);
+    },
+    flush(controller) {
+      const result = reader.end();
+      if (result) controller.enqueue(result);
+    },
+  });
+};
+
+/**
+ * Options for parsePartialJson
+ */
+export interface ParsePartialJsonOptions<T = any> extends JsonParserConfig<T> {
+  /** Yield after every chunk ('chunk') or only when a value starts or finishes ('structure') (default: 'chunk') */
+  yieldOn?: 'chunk' | 'structure';
+  /** Minimum number of milliseconds between two partial values; the latest one held back is yielded once the interval has passed, even if the source pauses (default: 0) */
+  throttleMs?: number;
+  /** Stops reading the source and rejects with the abort reason */
+  signal?: AbortSignal;
+}
+
+type ChunkSource = AsyncIterable<string | Uint8Array> | ReadableStream<string | Uint8Array>;
+
+/**
+ * Pulls chunks from either kind of source, with a way to stop a pending read
+ */
+interface ChunkIterator {
+  next(): Promise<IteratorResult<string | Uint8Array>>;
+  cancel(reason: unknown): void;
+}
+
+const toChunkIterator = (source: ChunkSource): ChunkIterator => {
+  if (typeof (source as ReadableStream).getReader === 'function') {
+    const reader = (source as ReadableStream<string | Uint8Array>).getReader();
+    return {
+      next: () => reader.read() as Promise<IteratorResult<string | Uint8Array>>,
+      cancel: reason => { reader.cancel(reason).catch(() => {}); },
+    };
+  }
+
+  const iterator = (source as AsyncIterable<string | Uint8Array>)[Symbol.asyncIterator]();
+  return {
+    next: () => iterator.next(),
+    cancel: () => { iterator.return?.()?.catch(() => {}); },
+  };
+};
+
+const abortReason = (signal: AbortSignal): unknown => {
+  if (signal.reason !== undefined) return signal.reason;
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Waits until the promise settles or the time is up, whichever comes first
+ * @returns Whether the time was up first
+ */
+const waitFor = (promise: Promise<unknown>, ms: number): Promise<boolean> => {
+  // Even when the time is already up, a chunk that is ready wins, being newer
+  let timer: ReturnType<typeof setTimeout>;
+  const elapsed = new Promise<boolean>(resolve => { timer = setTimeout(() => resolve(true), Math.max(0, ms)); });
+  // A failed read is rethrown when it is awaited on its own
+  const settled = promise.then(() => false, () => false);
+  return Promise.race([elapsed, settled]).then(result => {
+    clearTimeout(timer);
+    return result;
+  });
+};
+
+/**
+ * Settles with the promise, or rejects as soon as the signal aborts
+ */
+const untilAborted = <T>(promise: Promise<T>, signal: AbortSignal | undefined, onAbort: (reason: unknown) => void): Promise<T> => {
+  if (!signal) return promise;
+
+  return new Promise<T>((resolve, reject) => {
+    const abort = () => {
+      const reason = abortReason(signal);
+      onAbort(reason);
+      reject(reason);
+    };
+    if (signal.aborted) return abort();
+
+    signal.addEventListener('abort', abort);
+    promise.then(
+      value => { signal.removeEventListener('abort', abort); resolve(value); },
+      error => { signal.removeEventListener('abort', abort); reject(error); }
+    );
+  });
+};
+
+/**
+ * Parses a stream of JSON text or bytes, yielding a partial value for each
+ * chunk and finally the document itself, checked with a strict JSON.parse.
+ * Throws an IncompleteJsonError if the stream ends before the document is
+ * complete, or an UnrecoverableJsonError if it is complete but not valid JSON.
+ * With a schema and strict set, the first SchemaValidationError is thrown and
+ * the source is cancelled, so a bad generation can be abandoned early.
+ * Going past a resource limit also cancels the source: it throws a
+ * LimitExceededError, or with onLimitExceeded set, yields the value cut off
+ * at the limit as the last one.
+ * @param source Async iterable or ReadableStream of strings or UTF-8 bytes
+ * @param options Parser configuration plus throttling and abort options
+ * @returns Async iterator of partial values (PartialResults with includeMetadata)
+ */
+export function parsePartialJson<T = any>(source: ChunkSource, options: ParsePartialJsonOptions<T> & { includeMetadata: true }): AsyncGenerator<PartialSnapshot<T>, void, undefined>;
+export function parsePartialJson<T = any>(source: ChunkSource, options?: ParsePartialJsonOptions<T> & { includeMetadata?: false }): AsyncGenerator<DeepPartial<T>, void, undefined>;
+export function parsePartialJson<T = any>(source: ChunkSource, options?: ParsePartialJsonOptions<T>): AsyncGenerator<any, void, undefined>;
+export async function* parsePartialJson(source: ChunkSource, options: ParsePartialJsonOptions = {}): AsyncGenerator<any, void, undefined> {
+  const { yieldOn = 'chunk', throttleMs = 0, signal, ...config } = options;
+  const parser = createStreamingParser({ ...config, returnParsedJson: true, includeMetadata: true });
+  const decode = createDecoder();
+  const chunks = toChunkIterator(source);
+  const output = (result: PartialResult): any => (config.includeMetadata ? result : result.value);
+
+  let complete = false;
+  let finished = false;
+  let started = false;
+  let lastShape = '';
+  let lastYield = -Infinity;
+  // Partial value skipped by throttling, yielded later unless a newer one replaces it
+  let held: PartialResult | null = null;
+  parser.on('fieldStart', () => { started = true; });
+
+  try {
+    for (;;) {
+      const read = chunks.next();
+      if (held) {
+        const elapsed = await untilAborted(waitFor(read, throttleMs - (Date.now() - lastYield)), signal, reason => chunks.cancel(reason));
+        if (elapsed) {
+          const result: PartialResult = held;
+          held = null;
+          lastYield = Date.now();
+          yield output(result);
+        }
+      }
+
+      const { done, value } = await untilAborted(read, signal, reason => chunks.cancel(reason));
+      finished = !!done;
+      const chunk = done ? decode() : decode(value);
+      if (!chunk) {
+        if (done) break;
+        continue;
+      }
+
+      const result: PartialResult = parser.appendChunk(chunk);
+      complete = result.isComplete;
+      if (result.truncated) {
+        // onLimitExceeded chose to keep what fits, so that is the last value
+        yield output(result);
+        return;
+      }
+      if (done) break;
+      if (result.jsonOffset === -1) continue;
+
+      // Values only start or finish when the set of open paths changes or a
+      // fieldStart event fires; anything else is a scalar growing in place
+      const shape = result.incompletePaths.join('\n');
+      const structural = started || shape !== lastShape;
+      started = false;
+      lastShape = shape;
+
+      // A complete document is yielded once, after the strict check below.
+      // A held value is replaced by the newer one, which includes its changes.
+      const now = Date.now();
+      if (!result.isComplete && (yieldOn === 'chunk' || structural || held)) {
+        if (now - lastYield >= throttleMs) {
+          held = null;
+          lastYield = now;
+          yield output(result);
+        } else {
+          held = result;
+        }
+      }
+    }
+
+    // The strict check sees the JSON after extraction and repair, not the raw text
+    const text = parser.getText();
+    let value: any;
+    try {
+      value = JSON.parse(text);
+    } catch {
+      if (!complete) {
+        throw new IncompleteJsonError('Stream ended before the JSON was complete', text, text.length);
+      }
+      throw new UnrecoverableJsonError('Stream ended with invalid JSON', text, findSyntaxError(text));
+    }
+    const final: PartialResult = { value, incompletePaths: [], syntheticPaths: [], isComplete: true };
+    if (config.extractJson) final.jsonOffset = parser.getJsonOffset();
+    if (parser.getViolations().length > 0) final.violations = parser.getViolations();
+    yield output(final);
+  } finally {
+    // Stop the source when the caller breaks out or a strict check throws
+    if (!finished) chunks.cancel(undefined);
+    parser.reset();
+  }
+}
@@ -0,0 +1,1033 @@
+import { PathSegment } from './path';
+
+/**
+ * A piece of text appended (or removed) while completing a partial document
+ */
+export interface DummyValue {
+  position: number;
+  value: string;
+  type: string;
+}
+
+/**
+ * A change made to the input to fix it, such as a missing or stray closing
+ * bracket or, with repair, a comment dropped or a key quoted
+ */
+export interface JsonRepair {
+  /** Offset in the repaired text where the change was made */
+  position: number;
+  description: string;
+}
+
+/**
+ * Result of completing the input seen so far
+ */
+export interface BalanceResult {
+  balanced: string;
+  dummyValues: DummyValue[];
+  /** Containers still open and values still being streamed */
+  incompletePaths: PathSegment[][];
+  /** Values that were inserted as placeholders */
+  syntheticPaths: PathSegment[][];
+  /** Path of the string, number or literal still being read, if any */
+  activePath: PathSegment[] | null;
+  /** Whether the input is a finished document that needed no completion */
+  isComplete: boolean;
+  /** Structural repairs made to the input so far */
+  repairs: JsonRepair[];
+}
+
+/**
+ * Quote types recognised by the quote balancing pass
+ */
+export type QuoteType = 'double' | 'single' | 'both';
+
+/**
+ * How to complete an object key that was cut off before its colon
+ */
+export type IncompleteKeyMode = 'drop' | 'complete';
+
+/**
+ * How to complete a string value that is still being streamed
+ * - keep: close it after the text received so far
+ * - omit: leave the value out until it is complete
+ * - trim-to-word: keep it up to the last whole word
+ * - placeholder: replace it with the placeholder for its path
+ */
+export type PartialStringMode = 'keep' | 'omit' | 'trim-to-word' | 'placeholder';
+
+/**
+ * Caps on the input a tokenizer accepts; a limit left out is not checked
+ */
+export interface ResourceLimits {
+  /** Deepest nesting of objects and arrays */
+  maxDepth?: number;
+  /** Total JSON text, in UTF-8 bytes */
+  maxSize?: number;
+  /** Raw text of a single string or key, in characters, escapes included */
+  maxStringLength?: number;
+  /** Elements in a single array */
+  maxArrayLength?: number;
+  /** Members in a single object */
+  maxKeys?: number;
+}
+
+/**
+ * Where the input first went past a resource limit
+ */
+export interface LimitBreach {
+  limit: keyof ResourceLimits;
+  /** Configured value of the limit */
+  max: number;
+  /** Input offset of the first character that was not consumed */
+  offset: number;
+  /** Location of the value or container that would have grown past the limit */
+  path: PathSegment[];
+}
+
+/**
+ * Kinds of JSON values the tokenizer can recognise from their first character
+ */
+export type ValueType = 'string' | 'number' | 'boolean' | 'null' | 'object' | 'array';
+
+/**
+ * Where a placeholder value is needed
+ */
+export interface PlaceholderContext {
+  /** Location of the missing value */
+  path: PathSegment[];
+  /** Type of the same member in earlier elements of the enclosing array, if known */
+  siblingType?: ValueType;
+  /** Type of the value itself, when it has started but is being replaced */
+  valueType?: ValueType;
+}
+
+/**
+ * A value starting or ending in the input, reported while scanning
+ */
+export interface StructureEvent {
+  type: 'start' | 'end';
+  /** Location of the value */
+  path: PathSegment[];
+  valueType: ValueType;
+  /** Input offset of the value's first character */
+  start: number;
+  /** Input offset just past the value's last character ('end' events only) */
+  end: number;
+}
+
+/**
+ * Receives structure events; only passed in when someone is listening
+ */
+export type StructureListener = (event: StructureEvent) => void;
+
+/**
+ * Options that affect how the input seen so far is completed
+ */
+export interface CompletionOptions {
+  balanceQuotes: boolean;
+  incompleteKeys: IncompleteKeyMode;
+  partialStrings: PartialStringMode;
+  /** Returns the JSON text to insert for a missing value */
+  placeholder: (context: PlaceholderContext) => string;
+}
+
+/**
+ * String/escape state used to decide whether a closing quote is needed
+ */
+interface QuoteState {
+  inString: boolean;
+  stringChar: string;
+  escaped: boolean;
+}
+
+/**
+ * The last non-whitespace character seen outside of a string
+ */
+interface SignificantChar {
+  char: string;
+  /** Input offset of char */
+  index: number;
+  /** The significant character before char */
+  previousChar: string;
+}
+
+/**
+ * An open object or array on the container stack
+ */
+interface ContainerFrame {
+  closer: '}' | ']';
+  /** Whether the next string in this container is an object key */
+  expectsKey: boolean;
+  /** Key of the current member (objects only) */
+  key: string;
+  /** Index of the current element or member */
+  index: number;
+  /** Input offset of the opening bracket */
+  start: number;
+  /** Type of the current member or element once its value has started */
+  valueType: ValueType | '';
+  /** Member types seen in earlier object elements, by key (arrays only) */
+  memberTypes: Record<string, ValueType>;
+}
+
+/**
+ * Structural state used to decide which brackets and values are needed
+ */
+interface StructureState {
+  inString: boolean;
+  stringChar: string;
+  escaped: boolean;
+  /** Open containers, innermost last */
+  stack: ContainerFrame[];
+  last: SignificantChar;
+  /** Bare token (literal or number) currently being read, if any */
+  token: string;
+  /** Input offset where token starts */
+  tokenStart: number;
+  /** Value of last just before token started */
+  beforeToken: SignificantChar;
+  /** Input offset of the opening quote of the most recent object key */
+  keyStart: number;
+  /** Value of last just before that key started */
+  beforeKey: SignificantChar;
+  /** Input offset of the opening quote of the open string */
+  stringStart: number;
+  /** Whether the open string is an object key */
+  readingKey: boolean;
+  /** Raw text of the key being read, without quotes */
+  keyText: string;
+  /**
+   * Raw text at the end of the open string that cannot be closed as it is:
+   * an unfinished escape sequence, or the first half of a surrogate pair
+   */
+  unsafeTail: string;
+}
+
+/**
+ * Complete lexer state carried between chunks
+ */
+export interface TokenizerState {
+  /** Number of input characters consumed so far */
+  offset: number;
+  /** UTF-8 length of the input consumed so far */
+  size: number;
+  /** Only advanced for a single quote type; with both, the structure lexer holds the same state */
+  quotes: QuoteState;
+  structure: StructureState;
+}
+
+/**
+ * Everything a tokenizer carries between chunks, as plain data
+ */
+export interface SavedTokenizer {
+  state: TokenizerState;
+  repairs: JsonRepair[];
+  breach: LimitBreach | null;
+}
+
+/** Whether String.prototype.trim would remove the character, checked without a call for ASCII */
+const isWhitespace = (char: string): boolean => {
+  const code = char.charCodeAt(0);
+  if (code > 0x20 && code < 0x80) return false;
+  return char.trim() === '';
+};
+
+const isQuote = (char: string): boolean => char === '"' || char === "'";
+
+/** Characters that can move the quote lexer, besides the one after a backslash */
+const QUOTE_LEXER_CHARS = '"\'\\';
+
+/** Characters other than whitespace that end a bare token */
+const DELIMITERS = '{}[],:"\'';
+
+/** String text up to the next quote, backslash or high surrogate, none of which is taken */
+const STRING_TEXT = /[^"'\\\ud800-\udbff]+/y;
+
+const WHITESPACE = /\s+/y;
+
+const NON_ASCII = /[^\x00-\x7f]/;
+
+const LITERALS = ['true', 'false', 'null'];
+
+/** A number that stops right before a required digit, e.g. `12.`, `1e` or `2e+` */
+const NUMBER_MISSING_DIGIT = /^-?(?:0|[1-9]\d*)(?:\.|(?:\.\d+)?[eE][+-]?)$/;
+
+const hasOwn = (record: object, key: string): boolean => Object.prototype.hasOwnProperty.call(record, key);
+
+/**
+ * Decodes the raw text of a quoted string, falling back to the raw text
+ * while an escape sequence is still incomplete
+ */
+export const decodeString = (text: string, quote: string): string => {
+  // Without escapes, the text is the value (raw control characters are kept either way)
+  if (text.indexOf('\\') === -1) return text;
+  const body = quote === '"' ? text : text.replace(/\\'/g, "'").replace(/"/g, '\\"');
+  try {
+    return JSON.parse(`"${body}"`);
+  } catch {
+    return text;
+  }
+};
+
+/**
+ * Whether the backslash at `index` starts an escape sequence, rather than
+ * being the second half of an escaped backslash
+ */
+const startsEscape = (text: string, index: number, from: number): boolean => {
+  let backslashes = 0;
+  for (let i = index - 1; i >= from && text[i] === '\\'; i--) backslashes++;
+  return backslashes % 2 === 0;
+};
+
+const isHighSurrogate = (code: number): boolean => code >= 0xd800 && code <= 0xdbff;
+
+/** UTF-8 length of a UTF-16 code unit; each half of a surrogate pair counts 2 of its 4 bytes */
+const utf8Length = (code: number): number => {
+  if (code < 0x80) return 1;
+  if (code < 0x800 || (code >= 0xd800 && code <= 0xdfff)) return 2;
+  return 3;
+};
+
+/** UTF-8 length of a run of text, counted as utf8Length would one code unit at a time */
+const utf8Size = (text: string): number => {
+  let size = 0;
+  for (let i = 0; i < text.length; i++) size += utf8Length(text.charCodeAt(i));
+  return size;
+};
+
+/**
+ * Advances the unsafe tail of an open string by one character. The tail is a
+ * lone backslash, a `\u` escape with fewer than four digits, or a high
+ * surrogate (raw or escaped) optionally followed by the start of the escape
+ * that may complete it.
+ */
+const extendUnsafeTail = (tail: string, char: string): string => {
+  const escapeStart = tail.lastIndexOf('\\');
+
+  if (escapeStart === -1) {
+    // Empty, or a raw high surrogate that this character either completes or leaves alone
+    if (char === '\\') return char;
+    return isHighSurrogate(char.charCodeAt(0)) ? char : '';
+  }
+
+  const escape = tail.slice(escapeStart);
+  if (escape === '\\') {
+    return char === 'u' ? tail + char : '';
+  }
+  if (escape.length < 6) {
+    if (!/^[0-9a-fA-F]$/.test(char)) return '';
+    const next = tail + char;
+    if (escape.length < 5) return next;
+    // The escape is complete; only a high surrogate still needs its other half
+    return isHighSurrogate(parseInt(next.slice(-4), 16)) ? next.slice(escapeStart) : '';
+  }
+  // A complete high surrogate escape, waiting for a low one
+  return char === '\\' ? tail + char : '';
+};
+
+/**
+ * Length of the whitespace, raw or escaped as `\n`, `\r` or `\t`, that ends
+ * right before `end`, or 0
+ */
+const whitespaceBefore = (text: string, end: number, from: number): number => {
+  const char = text[end - 1];
+  if (isWhitespace(char)) return 1;
+  if ((char === 'n' || char === 'r' || char === 't') && end - 2 >= from && text[end - 2] === '\\' && startsEscape(text, end - 2, from)) {
+    return 2;
+  }
+  return 0;
+};
+
+/**
+ * Cuts the raw text of an unterminated string back to the end of its last
+ * whole word; a word still touching the end of the input may continue
+ */
+const lastWordEnd = (text: string, from: number, end: number): number => {
+  while (end > from && !whitespaceBefore(text, end, from)) end--;
+  for (let length; end > from && (length = whitespaceBefore(text, end, from)); ) end -= length;
+  return end;
+};
+
+/**
+ * Classifies a bare token by its first character
+ */
+const tokenType = (char: string): ValueType =>
+  char === 't' || char === 'f' ? 'boolean' : char === 'n' ? 'null' : 'number';
+
+const createFrame = (opener: string, start: number): ContainerFrame => ({
+  closer: opener === '{' ? '}' : ']',
+  expectsKey: opener === '{',
+  key: '',
+  index: 0,
+  start,
+  valueType: '',
+  memberTypes: {},
+});
+
+/**
+ * Copies the structure state so it can be advanced without touching the original
+ */
+const cloneStructure = (state: StructureState): StructureState => ({
+  ...state,
+  stack: state.stack.map(frame => ({ ...frame, memberTypes: { ...frame.memberTypes } })),
+});
+
+/**
+ * Copies the lexer state so it can be advanced without touching the original
+ */
+const cloneState = (state: TokenizerState): TokenizerState => ({
+  ...state,
+  quotes: { ...state.quotes },
+  structure: cloneStructure(state.structure),
+});
+
+/**
+ * Path of the member currently being read in each of the first `depth` containers
+ */
+const pathOf = (stack: ContainerFrame[], depth: number = stack.length): PathSegment[] =>
+  stack.slice(0, depth).map(frame => (frame.closer === '}' ? frame.key : frame.index));
+
+/**
+ * Records the type of the value that starts in the innermost container, and
+ * shares an object member's type with the enclosing array so later elements
+ * can reuse it
+ */
+const startValue = (
+  stack: ContainerFrame[],
+  type: ValueType,
+  start: number,
+  emit: StructureListener | undefined,
+): void => {
+  const frame = stack[stack.length - 1];
+  if (frame) {
+    if (frame.expectsKey || frame.valueType) return;
+    frame.valueType = type;
+
+    const parent = stack[stack.length - 2];
+    if (frame.closer === '}' && parent && parent.closer === ']') {
+      parent.memberTypes[frame.key] = type;
+    }
+  }
+
+  if (emit) {
+    emit({ type: 'start', path: pathOf(stack), valueType: type, start, end: -1 });
+  }
+};
+
+/**
+ * Creates the lexer state for an empty document
+ */
+export const createTokenizerState = (): TokenizerState => ({
+  offset: 0,
+  size: 0,
+  quotes: { inString: false, stringChar: '', escaped: false },
+  structure: {
+    inString: false,
+    stringChar: '',
+    escaped: false,
+    stack: [],
+    last: { char: '', index: -1, previousChar: '' },
+    token: '',
+    tokenStart: -1,
+    beforeToken: { char: '', index: -1, previousChar: '' },
+    keyStart: -1,
+    beforeKey: { char: '', index: -1, previousChar: '' },
+    stringStart: -1,
+    readingKey: false,
+    keyText: '',
+    unsafeTail: '',
+  },
+});
+
+/**
+ * Advances the quote state by a single character
+ */
+const stepQuotes = (state: QuoteState, char: string, quoteType: QuoteType): void => {
+  if (state.escaped) {
+    state.escaped = false;
+    return;
+  }
+
+  if (char === '\\') {
+    state.escaped = true;
+    return;
+  }
+
+  const shouldProcessQuote =
+    (quoteType === 'both') ||
+    (quoteType === 'double' && char === '"') ||
+    (quoteType === 'single' && char === "'");
+
+  if (shouldProcessQuote && isQuote(char)) {
+    if (!state.inString) {
+      state.inString = true;
+      state.stringChar = char;
+    } else if (char === state.stringChar) {
+      state.inString = false;
+      state.stringChar = '';
+    }
+  }
+};
+
+/**
+ * Advances the structure state by a character inside a string
+ */
+const stepString = (
+  state: StructureState,
+  char: string,
+  index: number,
+  emit?: StructureListener,
+): void => {
+  // Most string characters neither start nor continue an unsafe tail
+  if (state.unsafeTail || char === '\\' || (char >= '\ud800' && char <= '\udbff')) {
+    state.unsafeTail = char === state.stringChar && !state.escaped ? '' : extendUnsafeTail(state.unsafeTail, char);
+  }
+  if (state.readingKey && (state.escaped || char !== state.stringChar)) {
+    state.keyText += char;
+  }
+
+  if (state.escaped) {
+    state.escaped = false;
+  } else if (char === '\\') {
+    state.escaped = true;
+  } else if (char === state.stringChar) {
+    const stack = state.stack;
+    if (state.readingKey) {
+      stack[stack.length - 1].key = decodeString(state.keyText, char);
+      state.readingKey = false;
+    } else if (emit) {
+      emit({ type: 'end', path: pathOf(stack), valueType: 'string', start: state.stringStart, end: index + 1 });
+    }
+    state.inString = false;
+    state.stringChar = '';
+    state.last = { char, index, previousChar: state.last.char };
+  }
+};
+
+/**
+ * Advances the structure state by a single character at the given input offset
+ */
+const stepStructure = (
+  state: StructureState,
+  char: string,
+  index: number,
+  emit?: StructureListener,
+): void => {
+  if (state.inString) {
+    stepString(state, char, index, emit);
+    return;
+  }
+  if (state.escaped) {
+    state.escaped = false;
+    return;
+  }
+
+  const stack = state.stack;
+  const frame = stack[stack.length - 1];
+
+  // A bare token ends at the first delimiter after it
+  if (state.token && (DELIMITERS.indexOf(char) !== -1 || isWhitespace(char))) {
+    if (emit) {
+      emit({ type: 'end', path: pathOf(stack), valueType: tokenType(state.token[0]), start: state.tokenStart, end: index });
+    }
+    state.token = '';
+  }
+
+  switch (char) {
+    case '\\':
+      state.escaped = true;
+      state.token = '';
+      return;
+    case '"':
+    case "'":
+      state.inString = true;
+      state.stringChar = char;
+      state.stringStart = index;
+      if (frame && frame.expectsKey) {
+        state.keyStart = index;
+        state.beforeKey = state.last;
+        state.readingKey = true;
+        state.keyText = '';
+      } else {
+        startValue(stack, 'string', index, emit);
+      }
+      return;
+    case '{':
+    case '[':
+      startValue(stack, char === '{' ? 'object' : 'array', index, emit);
+      stack.push(createFrame(char, index));
+      break;
+    case '}':
+    case ']':
+      if (frame && frame.closer === char) {
+        stack.pop();
+        if (emit) {
+          const valueType = char === '}' ? 'object' : 'array';
+          emit({ type: 'end', path: pathOf(stack), valueType, start: frame.start, end: index + 1 });
+        }
+      }
+      break;
+    case ',':
+      if (frame) {
+        if (frame.closer === '}') {
+          frame.expectsKey = true;
+        }
+        frame.index++;
+        frame.valueType = '';
+      }
+      break;
+    case ':':
+      if (frame && frame.closer === '}') {
+        frame.expectsKey = false;
+        frame.valueType = '';
+      }
+      break;
+    default:
+      if (isWhitespace(char)) return;
+      // Track the bare token (literal or number) that touches the end of the input
+      if (!state.token) {
+        state.tokenStart = index;
+        state.beforeToken = state.last;
+        startValue(stack, tokenType(char), index, emit);
+      }
+      state.token += char;
+  }
+
+  // Track the last non-whitespace character for context
+  state.last = { char, index, previousChar: state.last.char };
+};
+
+/**
+ * Incremental single-pass tokenizer for streamed JSON.
+ *
+ * Keeps the string/escape state, the container stack and the last significant
+ * token between calls to `write`, so every chunk is scanned exactly once. The
+ * completion for the input seen so far is derived from that state alone.
+ */
+export class JsonTokenizer {
+  private state: TokenizerState = createTokenizerState();
+  private repairs: JsonRepair[] = [];
+  private breach: LimitBreach | null = null;
+  /** Characters of the breaching chunk that were read before the limit */
+  private breachIndex = 0;
+
+  constructor(private quoteType: QuoteType) {}
+
+  /**
+   * Consumes the next chunk of raw input, reporting values that start or end
+   * in it to `emit` if given. A closing bracket that does not match the
+   * innermost container either closes the containers above its opener first,
+   * or is dropped when nothing open matches it. With limits, the input is
+   * cut off right before the first character that would exceed one, and
+   * nothing more is consumed until reset.
+   * @returns The chunk as consumed, with those repairs applied
+   */
+  write(chunk: string, emit?: StructureListener, limits?: ResourceLimits | null): string {
+    if (this.breach) return '';
+
+    const structure = this.state.structure;
+    // Only built once a repair changes the text
+    let output: string | null = null;
+
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+
+      if (limits) {
+        if ((this.breach = this.checkLimits(char, limits))) {
+          this.breachIndex = i;
+          return output === null ? chunk.slice(0, i) : output;
+        }
+      } else if (structure.inString || char <= ' ') {
+        // Most of a document is string text or whitespace, which is taken a
+        // run at a time. Limits are checked on every character instead.
+        const length = this.skipRun(chunk, i);
+        if (length > 0) {
+          if (output !== null) output += chunk.slice(i, i + length);
+          i += length - 1;
+          continue;
+        }
+      }
+
+      const stack = structure.stack;
+      if ((char === '}' || char === ']') && !structure.inString && !structure.escaped && (stack.length === 0 || stack[stack.length - 1].closer !== char)) {
+        let depth = stack.length - 1;
+        while (depth >= 0 && stack[depth].closer !== char) depth--;
+        if (output === null) output = chunk.slice(0, i);
+
+        if (depth < 0) {
+          this.repairs.push({ position: this.state.offset, description: `Dropped stray '${char}'` });
+          continue;
+        }
+        for (let j = stack.length - 1; j > depth; j--) {
+          const frame = stack[j];
+          const kind = frame.closer === '}' ? 'object' : 'array';
+          this.repairs.push({
+            position: this.state.offset,
+            description: `Inserted '${frame.closer}' to close the ${kind} opened at ${frame.start}`,
+          });
+          output += frame.closer;
+          this.step(frame.closer, emit);
+        }
+      }
+
+      if (output !== null) output += char;
+      this.step(char, emit);
+    }
+
+    return output === null ? chunk : output;
+  }
+
+  /**
+   * Advances both lexers by one character
+   */
+  private step(char: string, emit?: StructureListener): void {
+    const state = this.state;
+    // Only quotes, backslashes and the character after one move the quote lexer
+    if (this.quoteType !== 'both' && (state.quotes.escaped || QUOTE_LEXER_CHARS.indexOf(char) !== -1)) {
+      stepQuotes(state.quotes, char, this.quoteType);
+    }
+    stepStructure(state.structure, char, state.offset, emit);
+    state.offset++;
+    state.size += char < '\x80' ? 1 : utf8Length(char.charCodeAt(0));
+  }
+
+  /**
+   * Consumes the run of string text or whitespace between values that starts
+   * at `from`, as step() would one character at a time. Neither moves
+   * anything but the offsets, unless an escape or surrogate pair is open or a
+   * bare token is about to end.
+   * @returns Length of the run, or 0 if there is none
+   */
+  private skipRun(chunk: string, from: number): number {
+    const state = this.state;
+    const structure = state.structure;
+    // The quote lexer is escaped exactly when the structure lexer is
+    if (structure.escaped || structure.unsafeTail || structure.token) return 0;
+
+    const pattern = structure.inString ? STRING_TEXT : WHITESPACE;
+    pattern.lastIndex = from;
+    if (!pattern.test(chunk)) return 0;
+
+    const run = chunk.slice(from, pattern.lastIndex);
+    if (structure.inString && structure.readingKey) structure.keyText += run;
+    state.offset += run.length;
+    state.size += NON_ASCII.test(run) ? utf8Size(run) : run.length;
+    return run.length;
+  }
+
+  /**
+   * Finds the limit that consuming `char` would exceed, if any. Elements and
+   * members are counted on their first character, so a container is cut off
+   * after its last allowed value rather than inside the next one.
+   */
+  private checkLimits(char: string, limits: ResourceLimits): LimitBreach | null {
+    const state = this.state;
+    const structure = state.structure;
+    const stack = structure.stack;
+    const frame = stack[stack.length - 1];
+    const breach = (limit: keyof ResourceLimits, max: number, path: PathSegment[] = pathOf(stack)): LimitBreach =>
+      ({ limit, max, offset: state.offset, path });
+
+    if (limits.maxSize !== undefined && state.size + utf8Length(char.charCodeAt(0)) > limits.maxSize) {
+      return breach('maxSize', limits.maxSize);
+    }
+
+    if (structure.inString) {
+      const closing = char === structure.stringChar && !structure.escaped;
+      if (limits.maxStringLength !== undefined && !closing && state.offset - structure.stringStart > limits.maxStringLength) {
+        // A key belongs to its object, which has no current member yet
+        return breach('maxStringLength', limits.maxStringLength, structure.readingKey ? pathOf(stack, stack.length - 1) : pathOf(stack));
+      }
+      return null;
+    }
+
+    if (isWhitespace(char) || char === '}' || char === ']' || char === ',' || char === ':') {
+      return null;
+    }
+    if (limits.maxDepth !== undefined && (char === '{' || char === '[') && stack.length >= limits.maxDepth) {
+      return breach('maxDepth', limits.maxDepth);
+    }
+    if (frame && !frame.valueType) {
+      const container = pathOf(stack, stack.length - 1);
+      if (frame.closer === ']' && limits.maxArrayLength !== undefined && frame.index >= limits.maxArrayLength) {
+        return breach('maxArrayLength', limits.maxArrayLength, container);
+      }
+      if (frame.closer === '}' && frame.expectsKey && limits.maxKeys !== undefined && frame.index >= limits.maxKeys) {
+        return breach('maxKeys', limits.maxKeys, container);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Marks the end of the input. A number or literal at the root has no
+   * delimiter after it, so it ends here instead, reported to `emit` if given.
+   * Anything else still open stays open, as the input was cut off inside it.
+   */
+  end(emit?: StructureListener): void {
+    const structure = this.state.structure;
+    if (this.breach || !structure.token || structure.stack.length > 0) return;
+
+    if (emit) {
+      emit({ type: 'end', path: [], valueType: tokenType(structure.token[0]), start: structure.tokenStart, end: this.state.offset });
+    }
+    structure.token = '';
+  }
+
+  /**
+   * Creates an independent copy, so tentative input can be scanned without
+   * affecting this tokenizer
+   */
+  clone(): JsonTokenizer {
+    const copy = new JsonTokenizer(this.quoteType);
+    copy.state = cloneState(this.state);
+    copy.repairs = this.repairs.slice();
+    copy.breach = this.breach;
+    return copy;
+  }
+
+  /**
+   * Builds the balanced document for `input`, which must be exactly the text
+   * written to this tokenizer so far
+   */
+  complete(input: string, options: CompletionOptions): BalanceResult {
+    if (!input) {
+      return { balanced: '', dummyValues: [], incompletePaths: [], syntheticPaths: [], activePath: null, isComplete: false, repairs: [] };
+    }
+
+    let dummyValues: DummyValue[] = [];
+    let structure = this.state.structure;
+    let suffix = '';
+
+    const syntheticPaths: PathSegment[][] = [];
+    let last = structure.last;
+    let end = input.length;
+
+    // Close an unterminated string, then let the structure pass see that quote
+    // exactly as if it had been part of the input. A string value may instead
+    // be cut back to a whole word, or left out or replaced until it is complete.
+    const quotes = this.quoteType === 'both' ? this.state.structure : this.state.quotes;
+    if (options.balanceQuotes && quotes.inString && quotes.stringChar) {
+      const quote = quotes.stringChar;
+      const isValue = structure.inString && !structure.readingKey;
+      const mode = isValue ? options.partialStrings : 'keep';
+      const innermost = structure.stack[structure.stack.length - 1];
+
+      if (mode === 'placeholder') {
+        const context: PlaceholderContext = { path: pathOf(structure.stack), valueType: 'string' };
+        const placeholder = options.placeholder(context);
+        syntheticPaths.push(context.path);
+        end = structure.stringStart;
+        suffix += placeholder;
+        dummyValues.push({ position: suffix.length - placeholder.length, value: placeholder, type: 'value' });
+        // The placeholder is the value, so no other one is added after the colon
+        last = { char: placeholder[placeholder.length - 1], index: end, previousChar: structure.last.char };
+      } else if (mode === 'omit' && innermost) {
+        // Drop an object member along with its key, so it is simply missing
+        const isMember = innermost.closer === '}';
+        end = isMember ? structure.keyStart : structure.stringStart;
+        last = isMember ? structure.beforeKey : structure.last;
+      } else {
+        const from = structure.stringStart + 1;
+        end = input.length - (structure.inString ? structure.unsafeTail.length : 0);
+        // At the root there is nothing to leave the string out of, so it is emptied
+        if (mode === 'omit') end = from;
+        if (mode === 'trim-to-word') end = lastWordEnd(input, from, end);
+
+        suffix += quote;
+        dummyValues.push({ position: suffix.length - 1, value: quote, type: 'quote' });
+        // Closing the quote can only change the innermost frame, setting its key
+        structure = { ...structure, stack: structure.stack.slice() };
+        if (innermost) structure.stack[structure.stack.length - 1] = { ...innermost };
+        // The cut text never ends inside an escape sequence
+        structure.escaped = false;
+        stepStructure(structure, quote, end);
+        last = structure.last;
+      }
+    }
+
+    const stack = structure.stack;
+    const frame = stack[stack.length - 1];
+
+    // Every open container is incomplete, and so is a string value still
+    // being read (checked before the closing quote was added)
+    const incompletePaths = stack.map((_, depth) => pathOf(stack, depth));
+    const streamed = this.state.structure;
+    const streamedFrame = streamed.stack[streamed.stack.length - 1];
+    let activePath: PathSegment[] | null = null;
+    if (streamed.inString && !streamed.readingKey) {
+      activePath = pathOf(streamed.stack);
+      incompletePaths.push(activePath);
+    } else if (streamed.token && !(streamedFrame && streamedFrame.expectsKey)) {
+      activePath = pathOf(streamed.stack);
+    }
+
+    // An object key that has not reached its colon yet is either dropped
+    // together with its separator or given a placeholder value
+    const danglingKey = frame !== undefined && frame.expectsKey && structure.keyStart >= 0 &&
+      (structure.inString || (isQuote(last.char) && last.index >= structure.keyStart));
+    if (danglingKey) {
+      if (options.incompleteKeys === 'drop') {
+        end = structure.keyStart;
+        last = structure.beforeKey;
+        suffix = '';
+        dummyValues = [];
+      } else if (!structure.inString) {
+        suffix += ':';
+        dummyValues.push({ position: suffix.length - 1, value: ':', type: 'colon' });
+        last = { char: ':', index: input.length, previousChar: last.char };
+      }
+    }
+
+    // Complete a truncated literal or number, or drop a lone minus sign
+    const token = suffix || danglingKey || (frame && frame.expectsKey) ? '' : structure.token;
+    if (token && token !== '-' && LITERALS.indexOf(token) === -1) {
+      incompletePaths.push(pathOf(stack));
+    }
+    if (token) {
+      const literal = LITERALS.find(candidate => candidate.length > token.length && candidate.startsWith(token));
+      if (literal) {
+        const rest = literal.slice(token.length);
+        suffix += rest;
+        dummyValues.push({ position: suffix.length - rest.length, value: rest, type: 'literal' });
+      } else if (NUMBER_MISSING_DIGIT.test(token)) {
+        suffix += '0';
+        dummyValues.push({ position: suffix.length - 1, value: '0', type: 'number' });
+      } else if (token === '-') {
+        end = structure.tokenStart;
+        last = structure.beforeToken;
+      }
+    }
+
+    let base = end === input.length ? input : input.substring(0, end);
+    let lastChar = last.char;
+
+    // Handle trailing commas by removing them before closing brackets
+    if (lastChar === ',' && stack.length > 0) {
+      base = base.substring(0, last.index) + base.substring(last.index + 1);
+      lastChar = last.previousChar;
+    }
+
+    // Add a placeholder value after a dangling colon
+    if (lastChar === ':' && stack.length > 0) {
+      const context = this.describeMissingValue(structure);
+      const placeholder = options.placeholder(context);
+      syntheticPaths.push(context.path);
+      suffix += placeholder;
+      dummyValues.push({ position: suffix.length - placeholder.length, value: placeholder, type: 'value' });
+    }
+
+    // Close remaining brackets
+    for (let i = stack.length - 1; i >= 0; i--) {
+      const closer = stack[i].closer;
+      suffix += closer;
+      dummyValues.push({ position: suffix.length - 1, value: closer, type: 'bracket' });
+    }
+
+    for (const dummy of dummyValues) {
+      dummy.position += base.length;
+    }
+
+    return {
+      balanced: base + suffix,
+      dummyValues,
+      incompletePaths,
+      syntheticPaths,
+      activePath,
+      isComplete: !suffix && base === input && incompletePaths.length === 0 && input.trim() !== '',
+      repairs: this.getRepairs(),
+    };
+  }
+
+  /**
+   * Locates the value that is missing after the innermost key
+   */
+  private describeMissingValue(structure: StructureState): PlaceholderContext {
+    const stack = structure.stack;
+    const path = stack.map(frame => (frame.closer === '}' ? frame.key : frame.index));
+    const frame = stack[stack.length - 1];
+    const parent = stack[stack.length - 2];
+
+    const key = path[path.length - 1];
+    const context: PlaceholderContext = { path };
+    if (frame.closer === '}' && parent && parent.closer === ']' && hasOwn(parent.memberTypes, key as string)) {
+      context.siblingType = parent.memberTypes[key as string];
+    }
+    return context;
+  }
+
+  /**
+   * Gets the raw text at the end of the open string that cannot be decoded
+   * yet, such as a partial escape sequence, or '' outside strings
+   */
+  getUnsafeTail(): string {
+    const structure = this.state.structure;
+    return structure.inString ? structure.unsafeTail : '';
+  }
+
+  /**
+   * Gets the string value the input ends inside, if any: its path, input
+   * offset of its opening quote and the quote character
+   */
+  getOpenString(): { path: PathSegment[]; start: number; quote: string } | null {
+    const structure = this.state.structure;
+    if (!structure.inString || structure.readingKey) return null;
+    return { path: pathOf(structure.stack), start: structure.stringStart, quote: structure.stringChar };
+  }
+
+  /**
+   * Gets the path of the member being read in the innermost open container
+   */
+  getPath(): PathSegment[] {
+    return pathOf(this.state.structure.stack);
+  }
+
+  /**
+   * Copies everything carried between chunks into plain data, so scanning
+   * can continue elsewhere with load()
+   */
+  save(): SavedTokenizer {
+    return { state: cloneState(this.state), repairs: this.repairs.slice(), breach: this.breach };
+  }
+
+  /**
+   * Continues from data returned by save(), dropping the current state
+   */
+  load(saved: SavedTokenizer): void {
+    this.state = cloneState(saved.state);
+    this.repairs = saved.repairs.slice();
+    this.breach = saved.breach;
+  }
+
+  /**
+   * Gets where the input went past a resource limit, if it has
+   */
+  getLimitBreach(): LimitBreach | null {
+    return this.breach;
+  }
+
+  /**
+   * Gets how many characters of the chunk passed to write() were read before
+   * it went past a resource limit
+   */
+  getBreachIndex(): number {
+    return this.breachIndex;
+  }
+
+  /**
+   * Gets the structural repairs made while consuming the input
+   */
+  getRepairs(): JsonRepair[] {
+    return this.repairs.slice();
+  }
+
+  /**
+   * Clears all lexer state
+   */
+  reset(): void {
+    this.state = createTokenizerState();
+    this.repairs = [];
+    this.breach = null;
+  }
+}
@@ -0,0 +1,95 @@
+import { JsonSchema, TypedJsonSchema } from './schema';
+
+/**
+ * Reads the definition of a Zod schema: `_def` with a `typeName` in Zod 3,
+ * `_zod.def` with a `type` in Zod 4
+ */
+const definitionOf = (schema: any): { kind: string; def: any } => {
+  if (schema && schema._zod && schema._zod.def) {
+    return { kind: schema._zod.def.type, def: schema._zod.def };
+  }
+  const def = (schema && schema._def) || {};
+  // 'ZodString' -> 'string', matching the Zod 4 names
+  const kind = typeof def.typeName === 'string' ? def.typeName.replace(/^Zod/, '').toLowerCase() : '';
+  return { kind, def };
+};
+
+/** Zod 3 keeps length and range limits in a list of checks */
+const checksOf = (def: any): { kind: string; value: number; inclusive?: boolean }[] =>
+  Array.isArray(def.checks) ? def.checks.filter((check: any) => check && typeof check.kind === 'string') : [];
+
+/**
+ * Whether an object member may be left out
+ */
+const isOptional = (schema: any): boolean => {
+  const { kind } = definitionOf(schema);
+  return kind === 'optional' || kind === 'default';
+};
+
+const convert = (schema: any): JsonSchema => {
+  const { kind, def } = definitionOf(schema);
+
+  switch (kind) {
+    case 'string':
+    case 'number':
+    case 'array': {
+      const result: JsonSchema = { type: kind };
+      if (kind === 'array') {
+        const element = def.element ?? def.type;
+        result.items = convert(element);
+        if (def.minLength) result.minItems = def.minLength.value;
+        if (def.maxLength) result.maxItems = def.maxLength.value;
+      }
+      for (const check of checksOf(def)) {
+        if (check.kind === 'int') result.type = 'integer';
+        if (check.kind === 'min' && kind === 'string') result.minLength = check.value;
+        if (check.kind === 'max' && kind === 'string') result.maxLength = check.value;
+        // Exclusive bounds are rare in LLM schemas and are checked as inclusive
+        if (check.kind === 'min' && kind === 'number') result.minimum = check.value;
+        if (check.kind === 'max' && kind === 'number') result.maximum = check.value;
+      }
+      return result;
+    }
+    case 'boolean':
+    case 'null':
+      return { type: kind };
+    case 'object': {
+      const shape = typeof def.shape === 'function' ? def.shape() : def.shape || {};
+      const keys = Object.keys(shape);
+      const properties: Record<string, JsonSchema> = {};
+      keys.forEach(key => { properties[key] = convert(shape[key]); });
+      const result: JsonSchema = { type: 'object', properties, required: keys.filter(key => !isOptional(shape[key])) };
+      // .strict() in Zod 3; a `never` catchall in Zod 4
+      if (def.unknownKeys === 'strict' || definitionOf(def.catchall).kind === 'never') {
+        result.additionalProperties = false;
+      }
+      return result;
+    }
+    case 'enum': {
+      const entries = def.entries || {};
+      return { enum: Array.isArray(def.values) ? [...def.values] : Object.keys(entries).map(key => entries[key]) };
+    }
+    case 'literal':
+      return Array.isArray(def.values) ? { enum: [...def.values] } : { const: def.value };
+    case 'union':
+      return { anyOf: (def.options || []).map(convert) };
+    case 'optional':
+    case 'default':
+      return convert(def.innerType);
+    case 'nullable':
+      return { anyOf: [convert(def.innerType), { type: 'null' }] };
+    default:
+      return {};
+  }
+};
+
+/**
+ * Converts a Zod schema into the JSON Schema subset used for partial
+ * validation, so `zod` stays an optional peer rather than a dependency.
+ * Objects, arrays, strings, numbers, booleans, null, enums, literals, unions,
+ * optional, nullable and default are understood; anything else is accepted
+ * as it is. Only Zod 3 length and range checks are carried over.
+ * @param schema A Zod 3 or Zod 4 schema
+ * @returns The equivalent JSON Schema, typed as the schema's output
+ */
+export const fromZodSchema = <Z>(schema: Z): TypedJsonSchema<Z extends { _output: infer T } ? T : unknown> => convert(schema);
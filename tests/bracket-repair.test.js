@@ -0,0 +1,74 @@
+const { createStreamingParser, validateStreamingJson, createRecordParser } = require('../src/index.ts');
+
+describe('Mismatched Bracket Repair', () => {
+
+  test('should insert a missing closer before a mismatched one', () => {
+    expect(validateStreamingJson('{"a": [1, 2}')).toBe('{"a": [1, 2]}');
+    expect(validateStreamingJson('[{"a": 1]', { returnParsedJson: true })).toEqual([{ a: 1 }]);
+  });
+
+  test('should close several containers at once', () => {
+    expect(validateStreamingJson('{"a": {"b": [[1}, "c": 2}', { returnParsedJson: true })).toEqual({ a: { b: [[1]] }, c: 2 });
+  });
+
+  test('should drop a stray closer', () => {
+    expect(validateStreamingJson('[1, 2]]')).toBe('[1, 2]');
+    expect(validateStreamingJson('{"a": [1]]}', { returnParsedJson: true })).toEqual({ a: [1] });
+  });
+
+  test('should leave brackets inside strings alone', () => {
+    const input = '{"a": "[}"}';
+    const parser = createStreamingParser({ includeMetadata: true });
+    expect(parser.appendChunk(input)).toEqual({ value: input, incompletePaths: [], syntheticPaths: [], isComplete: true });
+  });
+
+  test('should record each repair with a position and description', () => {
+    const result = validateStreamingJson('{"a": [1, 2}}', { includeMetadata: true, returnParsedJson: true });
+
+    expect(result.value).toEqual({ a: [1, 2] });
+    expect(result.repairs).toEqual([
+      { position: 11, description: "Inserted ']' to close the array opened at 6" },
+      { position: 13, description: "Dropped stray '}'" }
+    ]);
+  });
+
+  test('should only report repairs when something was repaired', () => {
+    const result = validateStreamingJson('{"a": [1, 2', { includeMetadata: true });
+    expect(result).not.toHaveProperty('repairs');
+  });
+
+  test('should repair closers split across chunks', () => {
+    const parser = createStreamingParser({ returnParsedJson: true });
+    parser.appendChunk('{"a": {"list": [1, 2');
+
+    expect(parser.appendChunk('}, "next": 2}')).toEqual({ a: { list: [1, 2] }, next: 2 });
+    expect(parser.getRepairs()).toEqual([{ position: 20, description: "Inserted ']' to close the array opened at 15" }]);
+  });
+
+  test('should keep repairs until reset', () => {
+    const parser = createStreamingParser();
+    parser.appendChunk(']');
+    expect(parser.getRepairs()).toHaveLength(1);
+
+    parser.reset();
+    expect(parser.getRepairs()).toEqual([]);
+  });
+
+  test('should emit events for the values the inserted closers finish', () => {
+    const parser = createStreamingParser();
+    const values = [];
+    parser.on('value', '$.a', value => values.push(value));
+
+    parser.appendChunk('{"a": [1, 2}');
+    expect(values).toEqual([[1, 2]]);
+  });
+
+  test('should drop a trailing comma before a mismatched closer in repair mode', () => {
+    expect(validateStreamingJson('{"a": [1, 2,}', { repair: true, returnParsedJson: true })).toEqual({ a: [1, 2] });
+  });
+
+  test('should drop stray closers between records', () => {
+    const parser = createRecordParser();
+    expect(parser.appendChunk('{"a": 1}}\n{"b": [2}\n')).toEqual([{ a: 1 }, { b: [2] }]);
+  });
+});
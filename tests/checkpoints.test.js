@@ -0,0 +1,122 @@
+const { createStreamingParser, StreamingJsonParser, LimitExceededError } = require('../src/index.ts');
+
+const roundTrip = checkpoint => JSON.parse(JSON.stringify(checkpoint));
+
+/**
+ * Feeds chunks to a parser, recording every result and event
+ */
+const record = (parser, chunks, log = []) => {
+  parser.on('value', (value, path) => log.push(['value', path, value]));
+  parser.on('patch', operations => log.push(['patch', operations]));
+  parser.on('text', (delta, path, done) => log.push(['text', path, delta, done]));
+  chunks.forEach(chunk => log.push(['result', parser.appendChunk(chunk)]));
+  return log;
+};
+
+/**
+ * Checks that resuming from a checkpoint after any chunk gives the same
+ * results and events as parsing without interruption
+ */
+const expectResumable = (chunks, config) => {
+  const expected = record(new StreamingJsonParser(config), chunks);
+
+  for (let split = 0; split <= chunks.length; split++) {
+    const first = new StreamingJsonParser(config);
+    const log = record(first, chunks.slice(0, split));
+    const restored = StreamingJsonParser.restore(roundTrip(first.snapshot()));
+    record(restored, chunks.slice(split), log);
+
+    expect(log).toEqual(expected);
+  }
+};
+
+const characters = text => Array.from(text);
+
+describe('Parser Checkpoints', () => {
+
+  test('should resume plain JSON after any chunk', () => {
+    expectResumable(characters('{"title": "caf\\u00e9 \\ud83d\\ude00", "items": [1, 2.5e3, true, null], "x": {}}'), {});
+  });
+
+  test('should resume parsed values with metadata', () => {
+    expectResumable(
+      ['{"a": [1', ', {"b": "te', 'xt"}', '], "n": -', '12', '}'],
+      { returnParsedJson: true, includeMetadata: true, incompleteKeys: 'complete', partialStrings: 'trim-to-word' }
+    );
+  });
+
+  test('should resume extraction and repair', () => {
+    expectResumable(
+      characters("Here it is:\n```json\n{name: 'Ada', ok: Tr" + "ue, // note\n list: [1, 2,],}\n```\nDone"),
+      { returnParsedJson: true, extractJson: true, repair: true, includeMetadata: true }
+    );
+  });
+
+  test('should resume with repaired brackets and schema violations', () => {
+    const schema = { type: 'object', properties: { a: { type: 'array', maxItems: 1 } }, additionalProperties: false };
+    expectResumable(['{"a": [1, ', '2}', ', "b": 1'], { returnParsedJson: true, includeMetadata: true, schema });
+  });
+
+  test('should survive a JSON round trip unchanged', () => {
+    const parser = createStreamingParser({ returnParsedJson: true, repair: true });
+    parser.appendChunk("{'a': [1, {'b': 'x");
+
+    const checkpoint = parser.snapshot();
+    expect(roundTrip(checkpoint)).toEqual(checkpoint);
+    expect(checkpoint).toMatchObject({ version: 3, input: '{"a": [1, {"b": "x', lastParsedData: { a: [1, { b: 'x' }] } });
+  });
+
+  test('should not change when the parser goes on', () => {
+    const parser = createStreamingParser({ returnParsedJson: true });
+    parser.appendChunk('{"a": [1');
+
+    const checkpoint = parser.snapshot();
+    const saved = JSON.stringify(checkpoint);
+    parser.appendChunk(', 2], "b": "c"}');
+
+    expect(JSON.stringify(checkpoint)).toBe(saved);
+  });
+
+  test('should keep the saved configuration without its functions', () => {
+    const onDiagnostic = jest.fn();
+    const parser = createStreamingParser({ returnParsedJson: true, strict: false, onDiagnostic, typeHints: { '$.n': 'number' } });
+    parser.appendChunk('{"n": ');
+
+    const checkpoint = roundTrip(parser.snapshot());
+    expect(checkpoint.config).not.toHaveProperty('onDiagnostic');
+
+    const restored = StreamingJsonParser.restore(checkpoint, { onDiagnostic });
+    expect(restored.getCurrentData()).toEqual({ n: 0 });
+    restored.appendChunk('1, }}');
+    expect(onDiagnostic).toHaveBeenCalled();
+  });
+
+  test('should stay truncated at a resource limit', () => {
+    const config = { returnParsedJson: true, limits: { maxArrayLength: 1 } };
+    const parser = createStreamingParser({ ...config, onLimitExceeded: () => {} });
+    parser.appendChunk('[1, 2');
+
+    const checkpoint = roundTrip(parser.snapshot());
+    expect(StreamingJsonParser.restore(checkpoint, { onLimitExceeded: () => {} }).appendChunk(']')).toEqual([1]);
+    expect(() => StreamingJsonParser.restore(checkpoint, { onLimitExceeded: null }).appendChunk(']')).toThrow(LimitExceededError);
+  });
+
+  test('should reject checkpoints of another version', () => {
+    const checkpoint = roundTrip(createStreamingParser().snapshot());
+
+    expect(() => StreamingJsonParser.restore({ ...checkpoint, version: 0 })).toThrow(
+      'Unsupported parser checkpoint version: 0 (expected 3)'
+    );
+    expect(() => StreamingJsonParser.restore({})).toThrow('Unsupported parser checkpoint version: undefined (expected 3)');
+  });
+
+  test('should reject checkpoints from before rewinding was added', () => {
+    const parser = createStreamingParser({ returnParsedJson: true });
+    parser.appendChunk('{"a": [1');
+    const { rawInput, ...checkpoint } = roundTrip(parser.snapshot());
+
+    expect(() => StreamingJsonParser.restore({ ...checkpoint, version: 1 })).toThrow(
+      'Unsupported parser checkpoint version: 1 (expected 3)'
+    );
+  });
+});
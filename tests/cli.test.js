@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { run } = require('../src/cli.ts');
+
+/**
+ * Runs the command with the given chunks on standard input
+ */
+const cli = async (args, chunks = []) => {
+  const stdout = [];
+  const stderr = [];
+  const code = await run(args, {
+    stdin: Readable.from(chunks),
+    stdout: { write: text => stdout.push(text) },
+    stderr: { write: text => stderr.push(text) },
+  });
+  return { code, stdout: stdout.join(''), stderr: stderr.join('') };
+};
+
+describe('llm-json command', () => {
+
+  test('should complete truncated JSON from standard input', async () => {
+    expect(await cli([], ['{"name": "Ada", "tags": ["x', '", "y'])).toEqual({
+      code: 0,
+      stdout: '{"name":"Ada","tags":["x","y"]}\n',
+      stderr: '',
+    });
+    expect((await cli(['repair', '-'], ['[1, 2'])).stdout).toBe('[1,2]\n');
+  });
+
+  test('should pretty-print', async () => {
+    const { stdout } = await cli(['--pretty'], ['{"a": [1']);
+    expect(stdout).toBe('{\n  "a": [\n    1\n  ]\n}\n');
+  });
+
+  test('should report the repairs made on standard error', async () => {
+    const { stdout, stderr } = await cli(['repair', '-r'], ['{"a": {"b": [1, 2}, "c": ']);
+
+    expect(stdout).toBe('{"a":{"b":[1,2]},"c":null}\n');
+    expect(stderr).toBe(
+      'Completed values cut off at the end of the input: ""\n' +
+      'Filled in placeholder values: "/c"\n' +
+      "Inserted ']' to close the array opened at 12 (offset 17)\n"
+    );
+    expect((await cli(['--report'], ['{"ok": true}'])).stderr).toBe('No repairs needed\n');
+  });
+
+  test('should extract and repair model output', async () => {
+    const output = "Sure! Here it is:\n```json\n{name: 'Ada', active: True,}\n```";
+    const { stdout, stderr } = await cli(['--extract', '--lenient', '--report'], [output]);
+
+    expect(stdout).toBe('{"name":"Ada","active":true}\n');
+    expect(stderr).toBe(
+      'Found the JSON at offset 26\n' +
+      'Quoted key (offset 1)\n' +
+      'Replaced single quotes with double quotes (offset 9)\n' +
+      'Quoted key (offset 16)\n' +
+      'Replaced True with true (offset 26)\n' +
+      'Dropped trailing comma (offset 30)\n'
+    );
+  });
+
+  test('should exit with 1 on unrecoverable input', async () => {
+    expect(await cli([], ['{"a": oops'])).toEqual({
+      code: 1,
+      stdout: '',
+      stderr: "llm-json: unrecoverable JSON: Unexpected character 'o' (line 1, column 7)\n",
+    });
+    expect(await cli([], [' \n'])).toMatchObject({ code: 1, stderr: 'llm-json: no JSON found in the input\n' });
+    expect(await cli(['-e'], ['No JSON here'])).toMatchObject({ code: 1, stderr: 'llm-json: no JSON found in the input\n' });
+  });
+
+  test('should print a snapshot for each chunk in watch mode', async () => {
+    const encoder = new TextEncoder();
+    const chunks = ['\n', '{"title": "caf', 'é', '", "n": 1', '', '}', '\n'].map(chunk => encoder.encode(chunk));
+
+    expect(await cli(['watch'], chunks)).toEqual({
+      code: 0,
+      stdout: '{"title":"caf"}\n{"title":"café"}\n{"title":"café","n":1}\n',
+      stderr: '',
+    });
+    expect((await cli(['--stream', '-r'], ['[1, ', '2'])).stderr).toBe('Completed values cut off at the end of the input: "", "/1"\n');
+  });
+
+  test('should stop watching at the first unrecoverable chunk', async () => {
+    const { code, stdout, stderr } = await cli(['watch'], ['{"a": 1', ', "b": nope', '}']);
+
+    expect(code).toBe(1);
+    expect(stdout).toBe('{"a":1}\n');
+    expect(stderr).toMatch(/^llm-json: unrecoverable JSON: Unexpected character/);
+  });
+
+  test('should read a file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-json-'));
+    const file = path.join(dir, 'fixture.json');
+    fs.writeFileSync(file, '{"fixture": [true, fal');
+
+    try {
+      expect((await cli(['repair', file])).stdout).toBe('{"fixture":[true,false]}\n');
+      expect((await cli([file, '--stream'])).stdout).toBe('{"fixture":[true,false]}\n');
+
+      const missing = await cli([path.join(dir, 'missing.json')]);
+      expect(missing.code).toBe(1);
+      expect(missing.stderr).toMatch(/^llm-json: cannot read .*missing\.json: ENOENT/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should reject unknown arguments', async () => {
+    const unknown = await cli(['--fast']);
+    expect(unknown.code).toBe(2);
+    expect(unknown.stderr).toMatch(/^llm-json: Unknown option: --fast\nUsage: llm-json/);
+
+    expect((await cli(['a.json', 'b.json'])).stderr).toMatch(/^llm-json: Unexpected argument: b\.json/);
+    expect(await cli(['--help'])).toMatchObject({ code: 0, stdout: expect.stringMatching(/^Usage: llm-json/) });
+  });
+});
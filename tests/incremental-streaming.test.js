@@ -0,0 +1,147 @@
+const { validateStreamingJson, createStreamingParser } = require('../src/index.ts');
+const { JsonTokenizer } = require('../src/tokenizer.ts');
+
+const streamInChunks = (parser, input, chunkSize) => {
+  let result;
+  for (let i = 0; i < input.length; i += chunkSize) {
+    result = parser.appendChunk(input.slice(i, i + chunkSize));
+  }
+  return result;
+};
+
+describe('Incremental Tokenizer', () => {
+
+  describe('Chunked Input Matches Single-Pass Output', () => {
+    test('should produce the same completion for every prefix regardless of chunking', () => {
+      const document = '{"name": "test", "items": [1, 2, {"id": 3, "tags": ["a", "b"]}], "text": "He said \\"hi\\", then left", "nested": {"deep": {"value": null}}}';
+
+      for (let length = 1; length <= document.length; length++) {
+        const prefix = document.slice(0, length);
+        const expected = validateStreamingJson(prefix);
+
+        [1, 3, 7].forEach(chunkSize => {
+          const parser = createStreamingParser();
+          expect(streamInChunks(parser, prefix, chunkSize)).toBe(expected);
+        });
+      }
+    });
+
+    test('should not carry a removed trailing comma into later chunks', () => {
+      const parser = createStreamingParser({ returnParsedJson: true });
+
+      expect(parser.appendChunk('{"a": 1,')).toEqual({ a: 1 });
+      expect(parser.appendChunk(' "b": 2')).toEqual({ a: 1, b: 2 });
+      expect(parser.getCurrentData()).toEqual({ a: 1, b: 2 });
+    });
+
+    test('should replace a placeholder value once the real value arrives', () => {
+      const parser = createStreamingParser();
+
+      expect(parser.appendChunk('{"status":')).toBe('{"status":null}');
+      expect(parser.appendChunk('"loa')).toBe('{"status":"loa"}');
+      expect(parser.appendChunk('ding"')).toBe('{"status":"loading"}');
+      expect(parser.appendChunk(', "tags": [')).toBe('{"status":"loading", "tags": []}');
+    });
+
+    test('should replace a completed literal or number when the rest arrives', () => {
+      const parser = createStreamingParser({ returnParsedJson: true });
+
+      expect(parser.appendChunk('{"ok": fa')).toEqual({ ok: false });
+      expect(parser.appendChunk('lse, "n": -')).toEqual({ ok: false, n: null });
+      expect(parser.appendChunk('1.')).toEqual({ ok: false, n: -1 });
+      expect(parser.appendChunk('5e')).toEqual({ ok: false, n: -1.5 });
+      expect(parser.appendChunk('2}')).toEqual({ ok: false, n: -150 });
+    });
+
+    test('should restore a dropped key once its value arrives', () => {
+      const parser = createStreamingParser({ returnParsedJson: true });
+
+      expect(parser.appendChunk('{"name": "a", "ag')).toEqual({ name: 'a' });
+      expect(parser.appendChunk('e"')).toEqual({ name: 'a' });
+      expect(parser.appendChunk(': 4')).toEqual({ name: 'a', age: 4 });
+    });
+
+    test('should remove a custom placeholder exactly when the real value arrives', () => {
+      const parser = createStreamingParser({ placeholders: { '$.title': 'loading...' } });
+
+      expect(parser.appendChunk('{"title":')).toBe('{"title":"loading..."}');
+      expect(parser.appendChunk(' "lo')).toBe('{"title": "lo"}');
+      expect(parser.appendChunk('ading..."}')).toBe('{"title": "loading..."}');
+    });
+
+    test('should keep escape state across chunk boundaries', () => {
+      const parser = createStreamingParser();
+
+      expect(parser.appendChunk('{"text": "a\\')).toBe('{"text": "a"}');
+      expect(parser.appendChunk('"b')).toBe('{"text": "a\\"b"}');
+    });
+
+    test('should rescan when the quote type changes mid-stream', () => {
+      const parser = createStreamingParser({ quoteType: 'double' });
+      const input = "{'message': 'incomplete";
+
+      parser.appendChunk(input);
+      parser.updateConfig({ quoteType: 'single' });
+      expect(parser.appendChunk('')).toBe(validateStreamingJson(input, { quoteType: 'single' }));
+    });
+
+    test('should start from scratch after reset', () => {
+      const parser = createStreamingParser();
+
+      parser.appendChunk('{"first": [1, 2');
+      parser.reset();
+      expect(parser.appendChunk('{"second": "x')).toBe('{"second": "x"}');
+    });
+  });
+
+  describe('Performance Tests', () => {
+    const buildPayload = (size) => {
+      const entries = [];
+      let length = 2;
+      for (let i = 0; length < size; i++) {
+        const entry = `{"id": ${i}, "text": "item \\"${i}\\" of the payload", "flags": [true, false, null]}`;
+        entries.push(entry);
+        length += entry.length + 2;
+      }
+      return `{"results": [${entries.join(', ')}]}`;
+    };
+
+    // Counts the characters handed to the tokenizer and the ones it steps
+    // through one at a time rather than as part of a run of string text
+    const countScanning = (payload, chunkSize) => {
+      const write = jest.spyOn(JsonTokenizer.prototype, 'write');
+      const step = jest.spyOn(JsonTokenizer.prototype, 'step');
+      try {
+        const result = streamInChunks(createStreamingParser(), payload, chunkSize);
+        const scanned = write.mock.calls.reduce((total, [chunk]) => total + chunk.length, 0);
+        return { result, scanned, steps: step.mock.calls.length };
+      } finally {
+        write.mockRestore();
+        step.mockRestore();
+      }
+    };
+
+    test('should scale linearly with the size of the streamed document', () => {
+      const small = buildPayload(25000);
+      const large = buildPayload(100000);
+
+      const smallCounts = countScanning(small, 8);
+      const largeCounts = countScanning(large, 8);
+
+      // Each character is scanned once, however much came before it; a
+      // rescan of the input on every chunk would scan ~16x as much for 4x
+      expect(smallCounts.scanned).toBe(small.length);
+      expect(largeCounts.scanned).toBe(large.length);
+      expect(largeCounts.steps / smallCounts.steps).toBeLessThan(4.5);
+    });
+
+    test('should stream a 200 KB payload in tiny deltas with one scan', () => {
+      const payload = buildPayload(200000);
+      const { result, scanned, steps } = countScanning(payload, 4);
+
+      expect(result).toBe(payload);
+      expect(scanned).toBe(payload.length);
+      expect(steps).toBeLessThan(payload.length);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const { createStreamingParser, validateStreamingJson, parsePartialJson } = require('../src/index.ts');
+
+const REPLY = 'Sure! Here\'s the data you asked for:\n\n```json\n{"name": "Ada", "skills": ["math", "code"]}\n```\n\nLet me know if you\'d like {more} details!';
+
+describe('JSON Extraction', () => {
+
+  test('should find JSON inside a markdown fence after prose', () => {
+    const result = validateStreamingJson(REPLY, { extractJson: true, returnParsedJson: true });
+    expect(result).toEqual({ name: 'Ada', skills: ['math', 'code'] });
+  });
+
+  test('should complete JSON while the fence is still open', () => {
+    const parser = createStreamingParser({ extractJson: true, returnParsedJson: true });
+
+    expect(parser.appendChunk('Sure! Here\'s the data:\n```json\n')).toBeNull();
+    expect(parser.appendChunk('{"name": "Ad')).toEqual({ name: 'Ad' });
+    expect(parser.appendChunk('a", "skills": ["ma')).toEqual({ name: 'Ada', skills: ['ma'] });
+  });
+
+  test('should not be confused by apostrophes in the prose', () => {
+    const result = validateStreamingJson('Here\'s what I found: {"ok": tr', { extractJson: true });
+    expect(result).toBe('{"ok": true}');
+  });
+
+  test('should ignore trailing commentary once the value closes', () => {
+    const parser = createStreamingParser({ extractJson: true, includeMetadata: true });
+    REPLY.slice(0, -20).split('').forEach(char => parser.appendChunk(char));
+
+    expect(parser.appendChunk(REPLY.slice(-20))).toEqual({
+      value: '{"name": "Ada", "skills": ["math", "code"]}',
+      incompletePaths: [],
+      syntheticPaths: [],
+      isComplete: true,
+      jsonOffset: REPLY.indexOf('{"name"')
+    });
+  });
+
+  test('should report the offset where the JSON began', () => {
+    const parser = createStreamingParser({ extractJson: true });
+
+    parser.appendChunk('Result: ');
+    expect(parser.getJsonOffset()).toBe(-1);
+
+    parser.appendChunk('[1, 2');
+    expect(parser.getJsonOffset()).toBe(8);
+  });
+
+  test('should skip brackets that are part of the prose', () => {
+    const text = 'See [note] and {name}, then the list: [ "a", "b" ] and [done].';
+    const parser = createStreamingParser({ extractJson: true, includeMetadata: true, returnParsedJson: true });
+    const result = parser.appendChunk(text);
+
+    expect(result.value).toEqual(['a', 'b']);
+    expect(result.jsonOffset).toBe(text.indexOf('[ "a"'));
+  });
+
+  test('should wait for the character after a bracket split across chunks', () => {
+    const parser = createStreamingParser({ extractJson: true, returnParsedJson: true });
+
+    expect(parser.appendChunk('Here: [')).toBeNull();
+    expect(parser.getJsonOffset()).toBe(-1);
+    expect(parser.appendChunk('  {"id": 1')).toEqual([{ id: 1 }]);
+    expect(parser.getJsonOffset()).toBe(6);
+  });
+
+  test('should keep brackets inside strings from closing the value early', () => {
+    const result = validateStreamingJson('Output: {"text": "a } b ] c", "n": 1} trailing }', {
+      extractJson: true,
+      returnParsedJson: true
+    });
+    expect(result).toEqual({ text: 'a } b ] c', n: 1 });
+  });
+
+  test('should start over after reset', () => {
+    const parser = createStreamingParser({ extractJson: true, returnParsedJson: true });
+    parser.appendChunk('First: {"a": 1} done');
+    parser.reset();
+
+    expect(parser.appendChunk('Second: {"b": 2}')).toEqual({ b: 2 });
+    expect(parser.getJsonOffset()).toBe(8);
+  });
+
+  test('should strictly validate only the extracted JSON in parsePartialJson', async () => {
+    async function* chunks() {
+      yield 'Sure!\n```json\n{"a": ';
+      yield '[1, 2]}\n```\nAnything else?';
+    }
+
+    const values = [];
+    for await (const value of parsePartialJson(chunks(), { extractJson: true })) {
+      values.push(value);
+    }
+    expect(values).toEqual([{ a: null }, { a: [1, 2] }]);
+  });
+});
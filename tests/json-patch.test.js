@@ -0,0 +1,142 @@
+const { createStreamingParser, applyPatch } = require('../src/index.ts');
+
+const collectPatches = (parser) => {
+  const patches = [];
+  parser.on('patch', operations => patches.push(operations));
+  return patches;
+};
+
+describe('JSON Patch Deltas', () => {
+
+  test('should start with a root add operation', () => {
+    const parser = createStreamingParser();
+    const patches = collectPatches(parser);
+
+    parser.appendChunk('{"title": "He');
+    expect(patches).toEqual([[{ op: 'add', path: '', value: { title: 'He' } }]]);
+  });
+
+  test('should use append operations for growing strings', () => {
+    const parser = createStreamingParser();
+    const patches = collectPatches(parser);
+
+    parser.appendChunk('{"title": "He');
+    parser.appendChunk('llo');
+    parser.appendChunk(' world"');
+
+    expect(patches.slice(1)).toEqual([
+      [{ op: 'append', path: '/title', value: 'llo' }],
+      [{ op: 'append', path: '/title', value: ' world' }]
+    ]);
+  });
+
+  test('should add new members and array items', () => {
+    const parser = createStreamingParser();
+    const patches = collectPatches(parser);
+
+    parser.appendChunk('{"items": [');
+    parser.appendChunk('{"id": 1}, {"id"');
+    parser.appendChunk(': 2, "tags": ["a"]}]');
+
+    expect(patches.slice(1)).toEqual([
+      [{ op: 'add', path: '/items/0', value: { id: 1 } }, { op: 'add', path: '/items/1', value: {} }],
+      [{ op: 'add', path: '/items/1/id', value: 2 }, { op: 'add', path: '/items/1/tags', value: ['a'] }]
+    ]);
+  });
+
+  test('should replace placeholders and partial numbers', () => {
+    const parser = createStreamingParser();
+    const patches = collectPatches(parser);
+
+    parser.appendChunk('{"count":');
+    parser.appendChunk(' 1');
+    parser.appendChunk('2, "ok": t');
+    parser.appendChunk('rue}');
+
+    expect(patches.slice(1)).toEqual([
+      [{ op: 'replace', path: '/count', value: 1 }],
+      [{ op: 'replace', path: '/count', value: 12 }, { op: 'add', path: '/ok', value: true }]
+    ]);
+  });
+
+  test('should remove placeholder members whose key kept growing', () => {
+    const parser = createStreamingParser({ incompleteKeys: 'complete' });
+    const patches = collectPatches(parser);
+
+    parser.appendChunk('{"ag');
+    parser.appendChunk('e": 4');
+
+    expect(patches[1]).toEqual([
+      { op: 'remove', path: '/ag' },
+      { op: 'add', path: '/age', value: 4 }
+    ]);
+  });
+
+  test('should emit nothing when a chunk changes nothing', () => {
+    const parser = createStreamingParser();
+    const patches = collectPatches(parser);
+
+    parser.appendChunk('{"a": 1, ');
+    parser.appendChunk('  ');
+    expect(patches).toHaveLength(1);
+  });
+
+  test('should rebuild every snapshot by applying the patches', () => {
+    const document = '{"message": "Hello there", "suggestions": [{"title": "Ask", "score": 0.5}, {"title": "Share", "tags": ["x", "y"]}], "count": -12.5e+1, "ready": false, "extra": null}';
+
+    [1, 2, 5, 11].forEach(chunkSize => {
+      const parser = createStreamingParser({ returnParsedJson: true });
+      let rebuilt;
+      parser.on('patch', operations => {
+        rebuilt = applyPatch(rebuilt, operations);
+      });
+
+      for (let i = 0; i < document.length; i += chunkSize) {
+        const snapshot = parser.appendChunk(document.slice(i, i + chunkSize));
+        if (typeof snapshot === 'object') {
+          expect(rebuilt).toEqual(snapshot);
+        }
+      }
+      expect(rebuilt).toEqual(JSON.parse(document));
+    });
+  });
+
+  test('should include bare words held back in repair mode', () => {
+    const document = "{'a': True, \"z\": null, 'b': [true, None], c: -Infinity, d: false}";
+
+    [1, 2, 3, 5].forEach(chunkSize => {
+      const parser = createStreamingParser({ returnParsedJson: true, repair: true });
+      let rebuilt;
+      parser.on('patch', operations => {
+        rebuilt = applyPatch(rebuilt, operations);
+      });
+
+      for (let i = 0; i < document.length; i += chunkSize) {
+        parser.appendChunk(document.slice(i, i + chunkSize));
+        expect(rebuilt).toEqual(parser.getCurrentData());
+      }
+    });
+  });
+
+  test('should not be affected by callers mutating returned snapshots', () => {
+    const parser = createStreamingParser({ returnParsedJson: true });
+    const patches = collectPatches(parser);
+
+    const snapshot = parser.appendChunk('{"a": "x');
+    snapshot.a = 'changed';
+    parser.appendChunk('y"}');
+
+    expect(patches[1]).toEqual([{ op: 'append', path: '/a', value: 'y' }]);
+  });
+
+  test('should start over with a root add after reset', () => {
+    const parser = createStreamingParser();
+    const patches = collectPatches(parser);
+
+    parser.appendChunk('[1');
+    parser.reset();
+    parser.appendChunk('[2');
+
+    expect(patches[1]).toEqual([{ op: 'add', path: '', value: [2] }]);
+  });
+});
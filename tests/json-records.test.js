@@ -0,0 +1,138 @@
+const { createRecordParser } = require('../src/index.ts');
+
+const NDJSON = '{"id": 1, "name": "a"}\n{"id": 2, "tags": ["x", "y"]}\n[3, 4]\n"five"\n6\ntrue\nnull\n';
+
+describe('Multi-Document Streams', () => {
+
+  test('should return every newline-delimited record', () => {
+    const parser = createRecordParser();
+    expect(parser.appendChunk(NDJSON)).toEqual([
+      { id: 1, name: 'a' },
+      { id: 2, tags: ['x', 'y'] },
+      [3, 4],
+      'five',
+      6,
+      true,
+      null
+    ]);
+  });
+
+  test('should return each record as soon as it closes, whatever the chunk size', () => {
+    [1, 2, 7, 13].forEach(size => {
+      const parser = createRecordParser();
+      const records = [];
+      for (let i = 0; i < NDJSON.length; i += size) {
+        records.push(...parser.appendChunk(NDJSON.slice(i, i + size)));
+      }
+      expect(records).toEqual(NDJSON.trim().split('\n').map(line => JSON.parse(line)));
+    });
+  });
+
+  test('should split concatenated values', () => {
+    const parser = createRecordParser();
+    expect(parser.appendChunk('{"a": 1}{"b": 2}[3],{"c": "}"}')).toEqual([{ a: 1 }, { b: 2 }, [3], { c: '}' }]);
+  });
+
+  test('should keep the bytes after a record for the next one', () => {
+    const parser = createRecordParser();
+
+    expect(parser.appendChunk('{"a": 1}\n{"b": [1, ')).toEqual([{ a: 1 }]);
+    expect(parser.getCurrentRecord()).toEqual({ b: [1] });
+
+    expect(parser.appendChunk('2]}\n')).toEqual([{ b: [1, 2] }]);
+    expect(parser.getCurrentRecord()).toBeUndefined();
+  });
+
+  test('should expose the partial value of the current record', () => {
+    const parser = createRecordParser({ includeMetadata: true });
+    parser.appendChunk('{"done": true}\n{"title": "Hel');
+
+    expect(parser.getCurrentRecord()).toEqual({
+      value: { title: 'Hel' },
+      incompletePaths: ['', '/title'],
+      syntheticPaths: [],
+      isComplete: false
+    });
+  });
+
+  test('should finish a trailing scalar at the end of the stream', () => {
+    const parser = createRecordParser();
+
+    expect(parser.appendChunk('1\n2\n3')).toEqual([1, 2]);
+    expect(parser.getCurrentRecord()).toBe(3);
+    expect(parser.end()).toEqual([3]);
+    expect(parser.end()).toEqual([]);
+  });
+
+  test('should keep a record cut off at the end of the stream apart', () => {
+    const parser = createRecordParser();
+    parser.appendChunk('{"a": 1}\n{"b": 2');
+
+    expect(parser.isTruncated()).toBe(false);
+    expect(parser.end()).toEqual([]);
+    expect(parser.isTruncated()).toBe(true);
+    expect(parser.getCurrentRecord()).toEqual({ b: 2 });
+  });
+
+  test('should not mark a whole last record as truncated', () => {
+    const parser = createRecordParser();
+    parser.appendChunk('{"a": 1}\n{"b": "te"}\ntrue');
+
+    expect(parser.end()).toEqual([true]);
+    expect(parser.isTruncated()).toBe(false);
+    expect(parser.getCurrentRecord()).toBeUndefined();
+  });
+
+  test('should split repaired records around comments', () => {
+    const input = "// first\n{a: 1, /* } */ b: 'x'}\n// note\n{'c': [True, None,],}\n/* { */ 7 // seven\nFalse";
+
+    [1, 3, input.length].forEach(size => {
+      const parser = createRecordParser({ repair: true });
+      const records = [];
+      for (let i = 0; i < input.length; i += size) {
+        records.push(...parser.appendChunk(input.slice(i, i + size)));
+      }
+      records.push(...parser.end());
+      expect(records).toEqual([{ a: 1, b: 'x' }, { c: [true, null] }, 7, false]);
+    });
+  });
+
+  test('should keep a comment inside a record from ending it', () => {
+    const parser = createRecordParser({ repair: true });
+
+    expect(parser.appendChunk('{"a": [1, /* ]} */ 2')).toEqual([]);
+    expect(parser.getCurrentRecord()).toEqual({ a: [1, 2] });
+    expect(parser.appendChunk(']} // done\n')).toEqual([{ a: [1, 2] }]);
+  });
+
+  test('should extract each record from the prose around it', () => {
+    const input = 'First: {"a": 1} [see below] then\n```json\n{"b": [2, "]"]}\n```\nDone.';
+
+    [1, 4, input.length].forEach(size => {
+      const parser = createRecordParser({ extractJson: true });
+      const records = [];
+      for (let i = 0; i < input.length; i += size) {
+        records.push(...parser.appendChunk(input.slice(i, i + size)));
+      }
+      records.push(...parser.end());
+      expect(records).toEqual([{ a: 1 }, { b: [2, ']'] }]);
+    });
+  });
+
+  test('should extract and repair records together', () => {
+    const parser = createRecordParser({ extractJson: true, repair: true });
+
+    expect(parser.appendChunk("Here: {a: 'x' /* } */} and {b: Tr")).toEqual([{ a: 'x' }]);
+    expect(parser.appendChunk('ue}. Bye')).toEqual([{ b: true }]);
+    expect(parser.end()).toEqual([]);
+    expect(parser.isTruncated()).toBe(false);
+  });
+
+  test('should start over after reset', () => {
+    const parser = createRecordParser();
+    parser.appendChunk('{"a": [1');
+    parser.reset();
+
+    expect(parser.appendChunk('{"b": 2}\n')).toEqual([{ b: 2 }]);
+  });
+});
@@ -0,0 +1,149 @@
+const { createStreamingParser, validateStreamingJson, parsePartialJson } = require('../src/index.ts');
+
+const repair = (input, config = {}) => validateStreamingJson(input, { repair: true, returnParsedJson: true, ...config });
+
+const LENIENT = `{
+  // model output
+  name: 'Ada "the first" Lovelace',
+  'it\\'s': True,
+  /* a block
+     comment */
+  missing: None,
+  flags: [False, true, null,],
+  score: NaN,
+  range: [-Infinity, Infinity, -1.5e-3],
+  nested: {$id: 1, _x2: 'a\\nb',},
+}`;
+
+const EXPECTED = {
+  name: 'Ada "the first" Lovelace',
+  "it's": true,
+  missing: null,
+  flags: [false, true, null],
+  score: null,
+  range: [null, null, -1.5e-3],
+  nested: { $id: 1, _x2: 'a\nb' }
+};
+
+describe('Lenient JSON Repair', () => {
+
+  test('should normalise single quotes with proper escaping', () => {
+    expect(repair(`{'a': 'say "hi"', 'b': 'it\\'s'}`)).toEqual({ a: 'say "hi"', b: "it's" });
+    expect(validateStreamingJson(`{'a': 'b'`, { repair: true })).toBe('{"a": "b"}');
+  });
+
+  test('should quote unquoted identifier keys', () => {
+    expect(repair('{name: "x", $ref: 1, _private2: true}')).toEqual({ name: 'x', $ref: 1, _private2: true });
+  });
+
+  test('should strip line and block comments', () => {
+    expect(repair('[1, // one\n 2 /* two, three */, 3]')).toEqual([1, 2, 3]);
+    expect(repair('{"url": "http://x/*y*/"}')).toEqual({ url: 'http://x/*y*/' });
+  });
+
+  test('should drop trailing commas in the middle of the document', () => {
+    expect(repair('{"a": [1, 2, ], "b": {"c": 1,\n},}')).toEqual({ a: [1, 2], b: { c: 1 } });
+  });
+
+  test('should map Python literals', () => {
+    expect(repair('[True, False, None]')).toEqual([true, false, null]);
+  });
+
+  test('should map NaN and Infinity to a configurable value', () => {
+    expect(repair('[NaN, Infinity, -Infinity, 1e5]')).toEqual([null, null, null, 1e5]);
+    expect(repair('{"x": NaN}', { nonFiniteValue: 'n/a' })).toEqual({ x: 'n/a' });
+  });
+
+  test('should escape raw control characters in strings', () => {
+    expect(repair('{"text": "line one\nline\ttwo"}')).toEqual({ text: 'line one\nline\ttwo' });
+  });
+
+  test('should repair a document with everything at once', () => {
+    expect(repair(LENIENT)).toEqual(EXPECTED);
+  });
+
+  test('should give the same result for any chunking', () => {
+    [1, 2, 3, 7].forEach(size => {
+      const parser = createStreamingParser({ repair: true, returnParsedJson: true });
+      let result;
+      for (let i = 0; i < LENIENT.length; i += size) {
+        result = parser.appendChunk(LENIENT.slice(i, i + size));
+      }
+      expect(result).toEqual(EXPECTED);
+    });
+  });
+
+  test('should produce valid JSON for every prefix', () => {
+    for (let i = 1; i <= LENIENT.length; i++) {
+      const balanced = validateStreamingJson(LENIENT.slice(0, i), { repair: true });
+      expect(() => JSON.parse(balanced)).not.toThrow();
+    }
+  });
+
+  test('should complete partially typed keywords', () => {
+    const parser = createStreamingParser({ repair: true, returnParsedJson: true });
+
+    expect(parser.appendChunk('{"a": Tr')).toEqual({ a: true });
+    expect(parser.appendChunk('ue, "b": No')).toEqual({ a: true, b: null });
+    expect(parser.appendChunk('ne, "c": Na')).toEqual({ a: true, b: null, c: null });
+  });
+
+  test('should hold a comma until it is known not to be trailing', () => {
+    const parser = createStreamingParser({ repair: true });
+
+    expect(parser.appendChunk('[1,')).toBe('[1]');
+    expect(parser.appendChunk(' ]')).toBe('[1 ]');
+  });
+
+  test('should find lenient JSON in prose with extractJson', () => {
+    const result = validateStreamingJson("Here's the result: {name: 'x', ok: True} // done", {
+      extractJson: true,
+      repair: true,
+      returnParsedJson: true
+    });
+    expect(result).toEqual({ name: 'x', ok: true });
+  });
+
+  test('should strictly validate the repaired text in parsePartialJson', async () => {
+    async function* chunks() {
+      yield "{'a': [1, 2,], b: Tr";
+      yield 'ue}';
+    }
+
+    const values = [];
+    for await (const value of parsePartialJson(chunks(), { repair: true })) {
+      values.push(value);
+    }
+    expect(values).toEqual([{ a: [1, 2], b: true }, { a: [1, 2], b: true }]);
+  });
+
+  test('should record each rewrite at its offset in the repaired text', () => {
+    const input = "{a: 'x', /* note */ b: [None,], c: -Infinity}";
+    const expected = [
+      { position: 1, description: 'Quoted key' },
+      { position: 6, description: 'Replaced single quotes with double quotes' },
+      { position: 11, description: 'Dropped block comment' },
+      { position: 12, description: 'Quoted key' },
+      { position: 18, description: 'Replaced None with null' },
+      { position: 22, description: 'Dropped trailing comma' },
+      { position: 25, description: 'Quoted key' },
+      { position: 30, description: 'Replaced -Infinity with null' }
+    ];
+    const result = validateStreamingJson(input, { repair: true, includeMetadata: true });
+    expect(result.value).toBe('{"a": "x",  "b": [null], "c": null}');
+    expect(result.repairs).toEqual(expected);
+
+    const parser = createStreamingParser({ repair: true });
+    for (const char of input) parser.appendChunk(char);
+    expect(parser.getRepairs()).toEqual(expected);
+
+    expect(validateStreamingJson('{"a": [1, 2}', { repair: true, includeMetadata: true }).repairs).toEqual([
+      { position: 11, description: "Inserted ']' to close the array opened at 6" }
+    ]);
+  });
+
+  test('should leave strict JSON untouched', () => {
+    const strict = '{"a": [1, -2.5e3, "x\\"y", true, null], "b": {}}';
+    expect(validateStreamingJson(strict, { repair: true })).toBe(strict);
+  });
+});
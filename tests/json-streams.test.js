@@ -0,0 +1,111 @@
+const { Readable } = require('stream');
+const { createJsonTransformStream } = require('../src/index.ts');
+const { createJsonNodeTransform } = require('../src/node.ts');
+
+const DOCUMENT = '{"greeting": "こんにちは 🌍", "items": [1, 2]}';
+
+// Splits the encoded document so multi-byte characters straddle chunk boundaries
+const byteChunks = (text, size) => {
+  const bytes = new TextEncoder().encode(text);
+  const chunks = [];
+  for (let i = 0; i < bytes.length; i += size) {
+    chunks.push(bytes.slice(i, i + size));
+  }
+  return chunks;
+};
+
+const readAll = async (readable) => {
+  const results = [];
+  const reader = readable.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return results;
+    results.push(value);
+  }
+};
+
+describe('Web TransformStream', () => {
+
+  test('should decode multi-byte characters split across chunks', async () => {
+    for (const size of [1, 2, 3, 5]) {
+      const source = new ReadableStream({
+        start(controller) {
+          byteChunks(DOCUMENT, size).forEach(chunk => controller.enqueue(chunk));
+          controller.close();
+        }
+      });
+
+      const results = await readAll(source.pipeThrough(createJsonTransformStream()));
+      const last = results[results.length - 1];
+
+      expect(last.value).toEqual(JSON.parse(DOCUMENT));
+      expect(last.isComplete).toBe(true);
+      results.forEach(result => expect(result.value.greeting || '').not.toContain('�'));
+    }
+  });
+
+  test('should accept string chunks and emit partial results', async () => {
+    const source = new ReadableStream({
+      start(controller) {
+        controller.enqueue('{"title": "Hel');
+        controller.enqueue('lo", "tags": ["a"');
+        controller.close();
+      }
+    });
+
+    const results = await readAll(source.pipeThrough(createJsonTransformStream()));
+
+    expect(results.map(result => result.value)).toEqual([
+      { title: 'Hel' },
+      { title: 'Hello', tags: ['a'] }
+    ]);
+    expect(results[1].incompletePaths).toEqual(['', '/tags']);
+  });
+
+  test('should skip chunks that only hold part of a character', async () => {
+    const bytes = new TextEncoder().encode('["é"]');
+    const source = new ReadableStream({
+      start(controller) {
+        controller.enqueue(bytes.slice(0, 3));
+        controller.enqueue(bytes.slice(3));
+        controller.close();
+      }
+    });
+
+    const results = await readAll(source.pipeThrough(createJsonTransformStream()));
+    expect(results.map(result => result.value)).toEqual([[''], ['é']]);
+  });
+});
+
+describe('Node Transform', () => {
+
+  test('should emit partial results in object mode', async () => {
+    const results = [];
+    const transform = Readable.from(byteChunks(DOCUMENT, 4).map(chunk => Buffer.from(chunk)))
+      .pipe(createJsonNodeTransform());
+
+    for await (const result of transform) {
+      results.push(result);
+    }
+
+    expect(results.length).toBeGreaterThan(1);
+    expect(results[results.length - 1].value).toEqual(JSON.parse(DOCUMENT));
+    results.forEach(result => expect(result.value.greeting || '').not.toContain('�'));
+  });
+
+  test('should pass the parser configuration through', async () => {
+    const results = [];
+    const transform = Readable.from(['{"name": "x", "age":']).pipe(createJsonNodeTransform({ returnParsedJson: false }));
+
+    for await (const result of transform) {
+      results.push(result);
+    }
+
+    expect(results).toEqual([{
+      value: '{"name": "x", "age":null}',
+      incompletePaths: [''],
+      syntheticPaths: ['/age'],
+      isComplete: false
+    }]);
+  });
+});
@@ -0,0 +1,100 @@
+const {
+  createStreamingParser,
+  validateStreamingJson,
+  parsePartialJson,
+  JsonParseError,
+  IncompleteJsonError,
+  UnrecoverableJsonError
+} = require('../src/index.ts');
+
+describe('Parse Errors', () => {
+
+  test('should report unparseable input to onDiagnostic instead of logging it', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const diagnostics = [];
+
+    try {
+      const result = validateStreamingJson('{"user": {"name": oops', {
+        returnParsedJson: true,
+        onDiagnostic: error => diagnostics.push(error)
+      });
+
+      expect(result).toBe('{"user": {"name": oops}}');
+      expect(warn).not.toHaveBeenCalled();
+    } finally {
+      warn.mockRestore();
+    }
+
+    expect(diagnostics).toHaveLength(1);
+    expect(diagnostics[0]).toBeInstanceOf(UnrecoverableJsonError);
+    expect(diagnostics[0]).toBeInstanceOf(JsonParseError);
+    expect(diagnostics[0]).toMatchObject({
+      name: 'UnrecoverableJsonError',
+      offset: 18,
+      line: 1,
+      column: 19,
+      path: '/user/name',
+      snippet: '{"user": {"name": oops}}'
+    });
+    expect(diagnostics[0].message).toBe("Unexpected character 'o' (line 1, column 19)");
+  });
+
+  test('should locate errors on later lines', () => {
+    const onDiagnostic = jest.fn();
+    validateStreamingJson('{\n  "a": [1, 2],\n  "b": [3, x', { returnParsedJson: true, onDiagnostic });
+
+    const error = onDiagnostic.mock.calls[0][0];
+    expect(error).toMatchObject({ line: 3, column: 12, path: '/b/1' });
+  });
+
+  test('should keep the snippet short', () => {
+    const onDiagnostic = jest.fn();
+    const padding = '"x": 1, '.repeat(20);
+    validateStreamingJson(`{${padding}"bad": ?, ${padding}}`, { returnParsedJson: true, onDiagnostic });
+
+    const { snippet } = onDiagnostic.mock.calls[0][0];
+    expect(snippet).toBe(': 1, "x": 1, "bad": ?, "x": 1, "x": 1, "');
+  });
+
+  test('should throw in strict mode instead of falling back', () => {
+    const parser = createStreamingParser({ returnParsedJson: true, strict: true });
+
+    expect(parser.appendChunk('{"a": [1, ')).toEqual({ a: [1] });
+    expect(() => parser.appendChunk('nope')).toThrow(UnrecoverableJsonError);
+  });
+
+  test('should not treat incomplete input as an error in strict mode', () => {
+    const parser = createStreamingParser({ returnParsedJson: true, strict: true });
+    expect(() => parser.appendChunk('{"a": "unfinished')).not.toThrow();
+  });
+
+  test('should throw IncompleteJsonError when a stream ends early', async () => {
+    async function* chunks() {
+      yield '{"items": [{"id": 1}, {"id"';
+    }
+
+    let caught;
+    try {
+      for await (const value of parsePartialJson(chunks())) {
+        expect(value).toBeDefined();
+      }
+    } catch (error) {
+      caught = error;
+    }
+
+    expect(caught).toBeInstanceOf(IncompleteJsonError);
+    expect(caught).toMatchObject({ offset: 27, line: 1, column: 28, path: '/items/1/id' });
+  });
+
+  test('should throw UnrecoverableJsonError when a finished stream is invalid', async () => {
+    async function* chunks() {
+      yield '{"a": 1} {"b": 2}';
+    }
+
+    await expect((async () => {
+      for await (const value of parsePartialJson(chunks())) {
+        expect(value).toBeDefined();
+      }
+    })()).rejects.toBeInstanceOf(UnrecoverableJsonError);
+  });
+});
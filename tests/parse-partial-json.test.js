@@ -0,0 +1,142 @@
+const { parsePartialJson } = require('../src/index.ts');
+
+async function* fromChunks(chunks) {
+  for (const chunk of chunks) {
+    yield chunk;
+  }
+}
+
+const collect = async (iterator) => {
+  const values = [];
+  for await (const value of iterator) {
+    values.push(value);
+  }
+  return values;
+};
+
+describe('parsePartialJson', () => {
+
+  test('should yield partial values and end with the final value', async () => {
+    const values = await collect(parsePartialJson(fromChunks(['{"title": "He', 'llo", "tags": ["a"', ']', '}'])));
+
+    expect(values).toEqual([
+      { title: 'He' },
+      { title: 'Hello', tags: ['a'] },
+      { title: 'Hello', tags: ['a'] },
+      { title: 'Hello', tags: ['a'] }
+    ]);
+  });
+
+  test('should read from a ReadableStream of bytes', async () => {
+    const bytes = new TextEncoder().encode('{"emoji": "🎉"}');
+    const source = new ReadableStream({
+      start(controller) {
+        controller.enqueue(bytes.slice(0, 12));
+        controller.enqueue(bytes.slice(12));
+        controller.close();
+      }
+    });
+
+    const values = await collect(parsePartialJson(source));
+    expect(values[values.length - 1]).toEqual({ emoji: '🎉' });
+  });
+
+  test('should throw when the stream ends with incomplete JSON', async () => {
+    const values = [];
+    await expect((async () => {
+      for await (const value of parsePartialJson(fromChunks(['{"a": [1, 2']))) {
+        values.push(value);
+      }
+    })()).rejects.toThrow('Stream ended before the JSON was complete');
+
+    expect(values).toEqual([{ a: [1, 2] }]);
+  });
+
+  test('should only yield on structural changes when asked', async () => {
+    const chunks = ['{"text": "a', 'b', 'c', '", "n": 1', '2', ', "ok": true', '}'];
+    const values = await collect(parsePartialJson(fromChunks(chunks), { yieldOn: 'structure' }));
+
+    expect(values).toEqual([
+      { text: 'a' },
+      { text: 'abc', n: 1 },
+      { text: 'abc', n: 12, ok: true },
+      { text: 'abc', n: 12, ok: true }
+    ]);
+  });
+
+  test('should throttle partial values but always yield the final one', async () => {
+    const now = jest.spyOn(Date, 'now');
+    let time = 0;
+    now.mockImplementation(() => time);
+
+    async function* timed() {
+      for (const [at, chunk] of [[0, '[1'], [40, ', 2'], [120, ', 3'], [130, ', 4'], [140, ']']]) {
+        time = at;
+        yield chunk;
+      }
+    }
+
+    try {
+      const values = await collect(parsePartialJson(timed(), { throttleMs: 100 }));
+      expect(values).toEqual([[1], [1, 2, 3], [1, 2, 3, 4]]);
+    } finally {
+      now.mockRestore();
+    }
+  });
+
+  test('should yield a throttled value once the interval passes while the source is paused', async () => {
+    let controller;
+    const source = new ReadableStream({ start(stream) { controller = stream; } });
+    const iterator = parsePartialJson(source, { throttleMs: 30 });
+
+    controller.enqueue('[1');
+    expect((await iterator.next()).value).toEqual([1]);
+
+    // Held back by the throttle, then delivered without another chunk arriving
+    controller.enqueue(', 2');
+    const start = Date.now();
+    expect((await iterator.next()).value).toEqual([1, 2]);
+    expect(Date.now() - start).toBeGreaterThanOrEqual(20);
+
+    controller.enqueue(']');
+    controller.close();
+    expect(await collect(iterator)).toEqual([[1, 2]]);
+  });
+
+  test('should yield PartialResults with includeMetadata', async () => {
+    const values = await collect(parsePartialJson(fromChunks(['{"a": "x', '"}']), { includeMetadata: true }));
+
+    expect(values[0]).toEqual({ value: { a: 'x' }, incompletePaths: ['', '/a'], syntheticPaths: [], isComplete: false });
+    expect(values[values.length - 1]).toEqual({ value: { a: 'x' }, incompletePaths: [], syntheticPaths: [], isComplete: true });
+  });
+
+  test('should stop with the abort reason while waiting for a chunk', async () => {
+    const controller = new AbortController();
+    let cancelled = false;
+    const source = new ReadableStream({
+      start(stream) {
+        stream.enqueue('{"a": 1');
+      },
+      cancel() {
+        cancelled = true;
+      }
+    });
+
+    const iterator = parsePartialJson(source, { signal: controller.signal });
+    expect((await iterator.next()).value).toEqual({ a: 1 });
+
+    const pending = iterator.next();
+    controller.abort(new Error('stop'));
+
+    await expect(pending).rejects.toThrow('stop');
+    expect(cancelled).toBe(true);
+  });
+
+  test('should reject straight away when the signal is already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(collect(parsePartialJson(fromChunks(['{}']), { signal: controller.signal })))
+      .rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
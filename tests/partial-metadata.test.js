@@ -0,0 +1,72 @@
+const { validateStreamingJson, createStreamingParser } = require('../src/index.ts');
+
+describe('Partial Value Metadata', () => {
+
+  test('should return the bare value unless metadata is requested', () => {
+    const result = validateStreamingJson('{"title": "Hel', { returnParsedJson: true });
+    expect(result).toEqual({ title: 'Hel' });
+  });
+
+  test('should report a string that is still streaming', () => {
+    const result = validateStreamingJson('{"title": "Hel', { returnParsedJson: true, includeMetadata: true });
+    expect(result).toEqual({
+      value: { title: 'Hel' },
+      incompletePaths: ['', '/title'],
+      syntheticPaths: [],
+      isComplete: false
+    });
+  });
+
+  test('should distinguish a finished string from a streaming one', () => {
+    const result = validateStreamingJson('{"title": "Hello", "body": "Wor', { returnParsedJson: true, includeMetadata: true });
+    expect(result.value).toEqual({ title: 'Hello', body: 'Wor' });
+    expect(result.incompletePaths).toEqual(['', '/body']);
+  });
+
+  test('should distinguish a real null from an inserted placeholder', () => {
+    const real = validateStreamingJson('{"a": null, "b": 1', { returnParsedJson: true, includeMetadata: true });
+    expect(real.syntheticPaths).toEqual([]);
+
+    const synthetic = validateStreamingJson('{"a": null, "b":', { returnParsedJson: true, includeMetadata: true });
+    expect(synthetic.value).toEqual({ a: null, b: null });
+    expect(synthetic.syntheticPaths).toEqual(['/b']);
+  });
+
+  test('should report open containers and trailing numbers and literals by JSON Pointer', () => {
+    const result = validateStreamingJson('{"items": [{"id": 1}, {"id": 2, "meta": {"score": 0.', { includeMetadata: true });
+    expect(result.incompletePaths).toEqual(['', '/items', '/items/1', '/items/1/meta', '/items/1/meta/score']);
+
+    const literal = validateStreamingJson('{"flags": [true, fa', { includeMetadata: true });
+    expect(literal.incompletePaths).toEqual(['', '/flags', '/flags/1']);
+
+    const finished = validateStreamingJson('{"flags": [true', { includeMetadata: true });
+    expect(finished.incompletePaths).toEqual(['', '/flags']);
+  });
+
+  test('should escape keys in JSON Pointers', () => {
+    const result = validateStreamingJson('{"a/b": {"c~d": "x', { includeMetadata: true });
+    expect(result.incompletePaths).toEqual(['', '/a~1b', '/a~1b/c~0d']);
+  });
+
+  test('should report completed dangling keys as synthetic values', () => {
+    const result = validateStreamingJson('[{"x": 1}, {"na', { includeMetadata: true, incompleteKeys: 'complete' });
+    expect(result.syntheticPaths).toEqual(['/1/na']);
+  });
+
+  test('should mark a fully received document as complete', () => {
+    const result = validateStreamingJson('{"done": true}', { returnParsedJson: true, includeMetadata: true });
+    expect(result).toEqual({ value: { done: true }, incompletePaths: [], syntheticPaths: [], isComplete: true });
+  });
+
+  test('should track completeness across chunks', () => {
+    const parser = createStreamingParser({ returnParsedJson: true, includeMetadata: true });
+
+    expect(parser.appendChunk('{"title": "Hel').incompletePaths).toEqual(['', '/title']);
+    expect(parser.appendChunk('lo", "tags": [').incompletePaths).toEqual(['', '/tags']);
+
+    const done = parser.appendChunk('"a"]}');
+    expect(done.value).toEqual({ title: 'Hello', tags: ['a'] });
+    expect(done.isComplete).toBe(true);
+    expect(parser.getCurrentData()).toEqual({ title: 'Hello', tags: ['a'] });
+  });
+});
@@ -0,0 +1,100 @@
+const { createStreamingParser, validateStreamingJson } = require('../src/index.ts');
+
+const parse = (input, config = {}) => validateStreamingJson(input, { returnParsedJson: true, ...config });
+
+describe('Partial Strings', () => {
+
+  describe('safe completion', () => {
+    test('should drop a partial unicode escape', () => {
+      expect(parse('{"city": "caf\\u00')).toEqual({ city: 'caf' });
+      expect(parse('{"city": "caf\\u')).toEqual({ city: 'caf' });
+      expect(parse('{"city": "caf\\u00e9')).toEqual({ city: 'café' });
+    });
+
+    test('should drop a trailing lone backslash', () => {
+      expect(parse('{"path": "C:\\')).toEqual({ path: 'C:' });
+      expect(parse('{"path": "C:\\\\')).toEqual({ path: 'C:\\' });
+      expect(parse('["a\\\\\\')).toEqual(['a\\']);
+    });
+
+    test('should not split a surrogate pair', () => {
+      expect(parse('["smile \\ud83d')).toEqual(['smile ']);
+      expect(parse('["smile \\ud83d\\ude')).toEqual(['smile ']);
+      expect(parse('["smile \\ud83d\\ude00')).toEqual(['smile 😀']);
+      expect(parse('["smile \ud83d')).toEqual(['smile ']);
+    });
+
+    test('should never report a diagnostic for a cut escape', () => {
+      const onDiagnostic = jest.fn();
+      const text = '{"note": "a\\"b\\\\c\\u00e9\\ud83d\\ude00"}';
+      for (let i = 1; i <= text.length; i++) {
+        parse(text.slice(0, i), { onDiagnostic });
+      }
+      expect(onDiagnostic).not.toHaveBeenCalled();
+    });
+
+    test('should complete a key with a partial escape', () => {
+      expect(parse('{"ca\\u00', { incompleteKeys: 'complete' })).toEqual({ ca: null });
+    });
+  });
+
+  describe('modes', () => {
+    const input = '{"title": "Done", "body": "Streaming JSON is gre';
+
+    test('should keep the text received so far by default', () => {
+      expect(parse(input)).toEqual({ title: 'Done', body: 'Streaming JSON is gre' });
+    });
+
+    test('should omit a partial string until it is complete', () => {
+      const parser = createStreamingParser({ returnParsedJson: true, partialStrings: 'omit' });
+
+      expect(parser.appendChunk(input)).toEqual({ title: 'Done' });
+      expect(parser.appendChunk('at"')).toEqual({ title: 'Done', body: 'Streaming JSON is great' });
+    });
+
+    test('should omit partial array elements', () => {
+      expect(parse('["one", "tw', { partialStrings: 'omit' })).toEqual(['one']);
+      expect(parse('[{"id": 1, "name": "Al', { partialStrings: 'omit' })).toEqual([{ id: 1 }]);
+    });
+
+    test('should empty a partial string at the root when omitting it', () => {
+      expect(parse('"Hello', { partialStrings: 'omit' })).toBe('');
+    });
+
+    test('should trim a partial string to its last whole word', () => {
+      expect(parse(input, { partialStrings: 'trim-to-word' })).toEqual({ title: 'Done', body: 'Streaming JSON is' });
+      expect(parse('["Hello ', { partialStrings: 'trim-to-word' })).toEqual(['Hello']);
+      expect(parse('["line one\\nlin', { partialStrings: 'trim-to-word' })).toEqual(['line one']);
+      expect(parse('["Hel', { partialStrings: 'trim-to-word' })).toEqual(['']);
+    });
+
+    test('should replace a partial string with its placeholder', () => {
+      const config = { partialStrings: 'placeholder', placeholders: { '$.body': '…' }, includeMetadata: true };
+      const result = parse(input, config);
+
+      expect(result.value).toEqual({ title: 'Done', body: '…' });
+      expect(result.syntheticPaths).toEqual(['/body']);
+      expect(result.incompletePaths).toEqual(['', '/body']);
+    });
+
+    test('should use the string dummy value as the default placeholder', () => {
+      expect(parse('{"a": [1, "x', { partialStrings: 'placeholder', dummyValues: { string: '...' } })).toEqual({ a: [1, '...'] });
+    });
+
+    test('should leave complete strings and keys alone', () => {
+      for (const partialStrings of ['omit', 'trim-to-word', 'placeholder']) {
+        expect(parse('{"greeting": "Hello world", "n', { partialStrings })).toEqual({ greeting: 'Hello world' });
+      }
+    });
+
+    test('should report the same values when streamed in chunks', () => {
+      const text = '{"items": ["alpha beta", "gamma \\u00e9 delta"], "note": "end of \\ud83d\\ude00 text"}';
+      for (const partialStrings of ['keep', 'omit', 'trim-to-word', 'placeholder']) {
+        const parser = createStreamingParser({ returnParsedJson: true, partialStrings });
+        for (let i = 1; i <= text.length; i++) {
+          expect(parser.appendChunk(text[i - 1])).toEqual(parse(text.slice(0, i), { partialStrings }));
+        }
+      }
+    });
+  });
+});
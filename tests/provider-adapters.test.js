@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const { createToolCallStream } = require('../src/index.ts');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+// Replays a recorded stream in fixed-size pieces, so SSE lines and JSON
+// fragments are split at arbitrary points
+const replay = (stream, text, size) => {
+  const updates = [];
+  for (let i = 0; i < text.length; i += size) {
+    updates.push(...stream.write(text.slice(i, i + size)));
+  }
+  updates.push(...stream.end());
+  return updates;
+};
+
+describe('Provider Adapters', () => {
+
+  describe('OpenAI', () => {
+    test('should route argument deltas by tool-call index', () => {
+      const stream = createToolCallStream('openai');
+      replay(stream, fixture('openai-tool-calls.sse'), 37);
+
+      expect(stream.getToolCalls()).toEqual([
+        { index: 0, id: 'call_weather01', name: 'get_weather', arguments: { location: 'Paris', unit: 'celsius' }, isComplete: true },
+        { index: 1, id: 'call_time02', name: 'get_time', arguments: { timezone: 'Europe/Paris' }, isComplete: true }
+      ]);
+    });
+
+    test('should expose partial arguments while a call streams', () => {
+      const stream = createToolCallStream('openai');
+      const events = fixture('openai-tool-calls.sse').split('\n\n');
+
+      stream.write(events.slice(0, 4).join('\n\n') + '\n\n');
+      expect(stream.getToolCalls()).toEqual([
+        { index: 0, id: 'call_weather01', name: 'get_weather', arguments: { location: 'Par' }, isComplete: false }
+      ]);
+
+      const updates = stream.write(events.slice(4, 7).join('\n\n') + '\n\n');
+      expect(updates.map(call => [call.index, call.arguments, call.isComplete])).toEqual([
+        [0, { location: 'Paris', unit: 'celsius' }, true],
+        [1, undefined, false]
+      ]);
+    });
+  });
+
+  describe('Anthropic', () => {
+    test('should route input_json_delta by content-block index', () => {
+      const stream = createToolCallStream('anthropic');
+      replay(stream, fixture('anthropic-tool-use.sse'), 50);
+
+      expect(stream.getToolCalls()).toEqual([
+        { index: 1, id: 'toolu_01T1x1', name: 'get_weather', arguments: { location: 'San Francisco, CA', days: [1, 2, 3] }, isComplete: true },
+        { index: 2, id: 'toolu_01T1x2', name: 'get_time', arguments: {}, isComplete: true }
+      ]);
+    });
+
+    test('should report each partial snapshot of the arguments', () => {
+      const stream = createToolCallStream('anthropic');
+      const snapshots = replay(stream, fixture('anthropic-tool-use.sse'), 1)
+        .filter(call => call.index === 1)
+        .map(call => call.arguments);
+
+      expect(snapshots).toContainEqual({ location: 'San Fra' });
+      expect(snapshots).toContainEqual({ location: 'San Francisco, CA', days: [1, 2] });
+    });
+
+    test('should give each call its own parser for structural events', () => {
+      const stream = createToolCallStream('anthropic');
+      const text = fixture('anthropic-tool-use.sse');
+      const start = text.indexOf('event: content_block_delta\ndata: {"type":"content_block_delta","index":1');
+      const days = [];
+
+      stream.write(text.slice(0, start));
+      stream.getParser(1).on('itemComplete', '$.days[*]', value => days.push(value));
+      stream.write(text.slice(start));
+
+      expect(days).toEqual([1, 2, 3]);
+      expect(stream.getParser(0)).toBeUndefined();
+    });
+  });
+
+  describe('Gemini', () => {
+    test('should read whole function calls in order', () => {
+      const stream = createToolCallStream('gemini');
+      replay(stream, fixture('gemini-function-call.sse'), 64);
+
+      expect(stream.getToolCalls()).toEqual([
+        { index: 0, name: 'get_weather', arguments: { location: 'Tokyo', unit: 'celsius' }, isComplete: true },
+        { index: 1, name: 'get_weather', arguments: { location: 'Osaka' }, isComplete: true }
+      ]);
+    });
+  });
+
+  describe('Server-sent events', () => {
+    test('should handle CRLF line endings split across chunks', () => {
+      const stream = createToolCallStream('anthropic');
+      const text = fixture('anthropic-tool-use.sse').replace(/\n/g, '\r\n');
+      replay(stream, text, 3);
+
+      expect(stream.getToolCalls().map(call => call.arguments)).toEqual([
+        { location: 'San Francisco, CA', days: [1, 2, 3] },
+        {}
+      ]);
+    });
+
+    test('should dispatch a final event without a trailing blank line', () => {
+      const stream = createToolCallStream('openai');
+      stream.write('data: {"choices":[{"index":0,"delta":{"tool_calls":[{"index":0,"id":"c1","function":{"name":"f","arguments":"{\\"a\\": 1}"}}]}}]}');
+      expect(stream.getToolCalls()).toEqual([]);
+
+      expect(stream.end()).toEqual([{ index: 0, id: 'c1', name: 'f', arguments: { a: 1 }, isComplete: true }]);
+    });
+
+    test('should ignore comments, other events and malformed data', () => {
+      const stream = createToolCallStream('openai');
+      const updates = stream.write(': keep-alive\n\nevent: ping\ndata: {}\n\ndata: not json\n\n');
+
+      expect(updates).toEqual([]);
+      expect(stream.getToolCalls()).toEqual([]);
+    });
+  });
+});
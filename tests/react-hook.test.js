@@ -0,0 +1,165 @@
+const React = require('react');
+const { act, create } = require('react-test-renderer');
+const { useStreamingJson } = require('../src/react.ts');
+const { IncompleteJsonError } = require('../src/index.ts');
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+/**
+ * Renders the hook, recording the state of every render
+ */
+const renderHook = (source, options) => {
+  const states = [];
+  const Probe = props => {
+    states.push(useStreamingJson(props.source, options));
+    return null;
+  };
+
+  let renderer;
+  act(() => { renderer = create(React.createElement(Probe, { source })); });
+
+  return {
+    states,
+    current: () => states[states.length - 1],
+    rerender: next => act(() => renderer.update(React.createElement(Probe, { source: next }))),
+    unmount: () => act(() => renderer.unmount()),
+  };
+};
+
+/** Lets pending reads, frames and state updates run */
+const settle = () => act(() => new Promise(resolve => setTimeout(resolve, 40)));
+
+/**
+ * A ReadableStream whose chunks the test pushes in by hand
+ */
+const controlledStream = (cancel = () => {}) => {
+  let controller;
+  const stream = new ReadableStream({ start(c) { controller = c; }, cancel });
+  return { stream, push: chunk => controller.enqueue(chunk), close: () => controller.close() };
+};
+
+describe('useStreamingJson', () => {
+
+  test('should stream a fetch Response to the complete document', async () => {
+    const { states, current } = renderHook(new Response('{"title": "café", "tags": ["a", "b"]}'));
+    expect(states[0]).toEqual({ data: null, isStreaming: false, error: null, incompletePaths: [] });
+
+    await settle();
+    expect(current()).toEqual({ data: { title: 'café', tags: ['a', 'b'] }, isStreaming: false, error: null, incompletePaths: [] });
+  });
+
+  test('should show partial values while streaming', async () => {
+    const { stream, push, close } = controlledStream();
+    const { current } = renderHook(stream);
+    expect(current().isStreaming).toBe(true);
+
+    push('{"items": ["fir');
+    await settle();
+    expect(current()).toEqual({ data: { items: ['fir'] }, isStreaming: true, error: null, incompletePaths: ['', '/items', '/items/0'] });
+
+    push('st"]}');
+    close();
+    await settle();
+    expect(current()).toMatchObject({ data: { items: ['first'] }, isStreaming: false, incompletePaths: [] });
+  });
+
+  test('should render once per animation frame', async () => {
+    const frames = [];
+    globalThis.requestAnimationFrame = callback => frames.push(callback);
+    globalThis.cancelAnimationFrame = jest.fn();
+
+    try {
+      const { stream, push, close } = controlledStream();
+      const { states, current } = renderHook(stream);
+      const before = states.length;
+
+      push('[1');
+      push(', 2');
+      push(', 3');
+      await settle();
+      expect(states).toHaveLength(before);
+      expect(frames).toHaveLength(1);
+
+      act(() => frames[0]());
+      expect(states).toHaveLength(before + 1);
+      expect(current().data).toEqual([1, 2, 3]);
+
+      // The end of the stream is shown at once, without waiting for a frame
+      push(']');
+      close();
+      await settle();
+      expect(current()).toMatchObject({ data: [1, 2, 3], isStreaming: false });
+      expect(globalThis.cancelAnimationFrame).toHaveBeenCalled();
+    } finally {
+      delete globalThis.requestAnimationFrame;
+      delete globalThis.cancelAnimationFrame;
+    }
+  });
+
+  test('should read async iterables of bytes', async () => {
+    const encoder = new TextEncoder();
+    async function* chunks() {
+      yield encoder.encode('{"n": 4');
+      yield encoder.encode('2}');
+    }
+
+    const { current } = renderHook(chunks(), { schema: { type: 'object', properties: { n: { type: 'number' } } } });
+    await settle();
+    expect(current()).toMatchObject({ data: { n: 42 }, isStreaming: false, error: null });
+  });
+
+  test('should keep the last value when the stream ends early', async () => {
+    const { current } = renderHook(new Response('{"answer": "Par'));
+    await settle();
+
+    expect(current()).toMatchObject({ data: { answer: 'Par' }, isStreaming: false, incompletePaths: ['', '/answer'] });
+    expect(current().error).toBeInstanceOf(IncompleteJsonError);
+  });
+
+  test('should report a failed request', async () => {
+    const { current } = renderHook(new Response('{"error": "nope"}', { status: 500 }));
+    await settle();
+
+    expect(current()).toMatchObject({ data: null, isStreaming: false });
+    expect(current().error.message).toBe('Request failed with status 500');
+  });
+
+  test('should cancel the stream on unmount', async () => {
+    const cancel = jest.fn();
+    const { stream, push } = controlledStream(cancel);
+    const { states, unmount } = renderHook(stream);
+    const errors = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      push('{"a": 1');
+      await settle();
+      unmount();
+      const count = states.length;
+      await settle();
+
+      expect(cancel).toHaveBeenCalled();
+      expect(states).toHaveLength(count);
+      expect(errors).not.toHaveBeenCalled();
+    } finally {
+      errors.mockRestore();
+    }
+  });
+
+  test('should start over when the source changes', async () => {
+    const cancel = jest.fn();
+    const first = controlledStream(cancel);
+    const { current, rerender } = renderHook(first.stream);
+
+    first.push('{"old": tr');
+    await settle();
+    expect(current().data).toEqual({ old: true });
+
+    rerender(new Response('{"new": 1}'));
+    await settle();
+    expect(cancel).toHaveBeenCalled();
+    expect(current()).toEqual({ data: { new: 1 }, isStreaming: false, error: null, incompletePaths: [] });
+
+    rerender(null);
+    expect(current()).toEqual({ data: null, isStreaming: false, error: null, incompletePaths: [] });
+  });
+});
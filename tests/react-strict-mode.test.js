@@ -0,0 +1,80 @@
+/**
+ * @jest-environment jsdom
+ */
+const { ReadableStream } = require('stream/web');
+const { TextDecoder } = require('util');
+const React = require('react');
+const { createRoot } = require('react-dom/client');
+
+// jsdom leaves out the stream and encoding globals the parser reads with
+Object.assign(globalThis, { ReadableStream, TextDecoder, IS_REACT_ACT_ENVIRONMENT: true });
+
+const { useStreamingJson } = require('../src/react.ts');
+
+/**
+ * Renders the hook in a StrictMode root, which runs effects twice on mount
+ */
+const renderStrict = source => {
+  const states = [];
+  const Probe = props => {
+    states.push(useStreamingJson(props.source));
+    return null;
+  };
+  const root = createRoot(document.createElement('div'));
+  const render = next => React.act(() => root.render(
+    React.createElement(React.StrictMode, null, React.createElement(Probe, { source: next }))
+  ));
+
+  render(source);
+  return {
+    current: () => states[states.length - 1],
+    rerender: render,
+    unmount: () => React.act(() => root.unmount()),
+  };
+};
+
+const settle = () => React.act(() => new Promise(resolve => setTimeout(resolve, 40)));
+
+const controlledStream = (cancel = () => {}) => {
+  let controller;
+  const stream = new ReadableStream({ start(c) { controller = c; }, cancel });
+  return { stream, push: chunk => controller.enqueue(chunk), close: () => controller.close() };
+};
+
+describe('useStreamingJson in StrictMode', () => {
+
+  test('should read the source once', async () => {
+    const cancel = jest.fn();
+    const { stream, push, close } = controlledStream(cancel);
+    const { current } = renderStrict(stream);
+
+    push('{"a": [1');
+    await settle();
+    expect(current()).toEqual({ data: { a: [1] }, isStreaming: true, error: null, incompletePaths: ['', '/a', '/a/0'] });
+    expect(cancel).not.toHaveBeenCalled();
+
+    push(']}');
+    close();
+    await settle();
+    expect(current()).toEqual({ data: { a: [1] }, isStreaming: false, error: null, incompletePaths: [] });
+  });
+
+  test('should still cancel when the source changes or on unmount', async () => {
+    const cancel = jest.fn();
+    const first = controlledStream(cancel);
+    const { current, rerender, unmount } = renderStrict(first.stream);
+
+    const second = controlledStream(cancel);
+    rerender(second.stream);
+    await settle();
+    expect(cancel).toHaveBeenCalledTimes(1);
+
+    second.push('{"b": 2');
+    await settle();
+    expect(current()).toMatchObject({ data: { b: 2 }, isStreaming: true, error: null });
+
+    unmount();
+    await settle();
+    expect(cancel).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,172 @@
+const {
+  createStreamingParser,
+  parsePartialJson,
+  JsonParseError,
+  LimitExceededError
+} = require('../src/index.ts');
+
+const parse = (input, limits, config = {}) =>
+  createStreamingParser({ returnParsedJson: true, limits, ...config }).appendChunk(input);
+
+const truncate = (input, limits, config = {}) => {
+  const errors = [];
+  const parser = createStreamingParser({
+    returnParsedJson: true,
+    includeMetadata: true,
+    limits,
+    onLimitExceeded: error => errors.push(error),
+    ...config
+  });
+  return { result: parser.appendChunk(input), errors, parser };
+};
+
+describe('Resource Limits', () => {
+
+  test('should accept input within every limit', () => {
+    const limits = { maxDepth: 2, maxSize: 40, maxStringLength: 5, maxArrayLength: 3, maxKeys: 2 };
+    expect(parse('{"list": [1, 2, 3], "name": "Ada"}', limits)).toEqual({ list: [1, 2, 3], name: 'Ada' });
+  });
+
+  test('should throw a LimitExceededError past the nesting depth', () => {
+    expect(() => parse('{"a": {"b": [1]}}', { maxDepth: 2 })).toThrow(LimitExceededError);
+
+    try {
+      parse('{"a": {"b": [1]}}', { maxDepth: 2 });
+    } catch (error) {
+      expect(error).toBeInstanceOf(JsonParseError);
+      expect(error).toMatchObject({ limit: 'maxDepth', max: 2, offset: 12, path: '/a/b' });
+      expect(error.message).toBe('Nesting deeper than 2 levels (line 1, column 13)');
+    }
+  });
+
+  test('should count the input size in UTF-8 bytes', () => {
+    expect(parse('["é"]', { maxSize: 6 })).toEqual(['é']);
+    expect(() => parse('["é😀"]', { maxSize: 9 })).toThrow('Input larger than 9 bytes');
+    expect(parse('["é😀"]', { maxSize: 10 })).toEqual(['é😀']);
+  });
+
+  test('should count size across chunks', () => {
+    const parser = createStreamingParser({ returnParsedJson: true, limits: { maxSize: 10 } });
+
+    expect(parser.appendChunk('{"a": ')).toEqual({ a: null });
+    expect(() => parser.appendChunk('12345}')).toThrow(expect.objectContaining({ limit: 'maxSize', offset: 10 }));
+  });
+
+  test('should limit string values and keys', () => {
+    expect(() => parse('{"note": "abcdef"}', { maxStringLength: 5 })).toThrow(
+      expect.objectContaining({ limit: 'maxStringLength', path: '/note' })
+    );
+    expect(() => parse('{"abcdef": 1}', { maxStringLength: 5 })).toThrow(
+      expect.objectContaining({ limit: 'maxStringLength', path: '' })
+    );
+    expect(parse('["a\\"b"]', { maxStringLength: 4 })).toEqual(['a"b']);
+  });
+
+  test('should limit array elements and object members', () => {
+    expect(() => parse('{"list": [1, 2, 3]}', { maxArrayLength: 2 })).toThrow(
+      expect.objectContaining({ limit: 'maxArrayLength', path: '/list', message: 'Array longer than 2 items (line 1, column 17)' })
+    );
+    expect(() => parse('[{"a": 1, "b": 2}]', { maxKeys: 1 })).toThrow(
+      expect.objectContaining({ limit: 'maxKeys', path: '/0', message: 'Object with more than 1 keys (line 1, column 11)' })
+    );
+    expect(() => parse('[]', { maxArrayLength: 0 })).not.toThrow();
+    expect(() => parse('[1]', { maxArrayLength: 0 })).toThrow(LimitExceededError);
+  });
+
+  test('should keep throwing until reset', () => {
+    const parser = createStreamingParser({ returnParsedJson: true, limits: { maxArrayLength: 1 } });
+
+    expect(() => parser.appendChunk('[1, 2')).toThrow(LimitExceededError);
+    expect(() => parser.appendChunk(']')).toThrow(LimitExceededError);
+
+    parser.reset();
+    expect(parser.appendChunk('[1]')).toEqual([1]);
+  });
+
+  describe('onLimitExceeded', () => {
+    test('should cut a container off after its last allowed value', () => {
+      const { result, errors } = truncate('{"items": [1, 2, 3, 4], "more": true}', { maxArrayLength: 2 });
+
+      expect(result).toMatchObject({ value: { items: [1, 2] }, isComplete: false, truncated: true });
+      expect(errors).toHaveLength(1);
+      expect(errors[0]).toMatchObject({ limit: 'maxArrayLength', path: '/items' });
+    });
+
+    test('should cut a long string off at the limit', () => {
+      const { result } = truncate('{"id": "abcdefgh", "n": 1}', { maxStringLength: 4 });
+      expect(result.value).toEqual({ id: 'abcd' });
+    });
+
+    test('should never leave half an escape at the cut', () => {
+      const { result } = truncate('["ab\\u00e9"]', { maxStringLength: 5 });
+      expect(result.value).toEqual(['ab']);
+    });
+
+    test('should drop deeper containers and extra keys', () => {
+      expect(truncate('{"a": 1, "b": {"c": [2]}}', { maxDepth: 2 }).result.value).toEqual({ a: 1, b: { c: null } });
+      expect(truncate('{"a": 1, "b": 2, "c": 3}', { maxKeys: 2 }).result.value).toEqual({ a: 1, b: 2 });
+    });
+
+    test('should ignore later chunks and report the limit once', () => {
+      const onLimitExceeded = jest.fn();
+      const parser = createStreamingParser({ returnParsedJson: true, limits: { maxSize: 8 }, onLimitExceeded });
+
+      expect(parser.appendChunk('{"a": "xyz')).toEqual({ a: 'x' });
+      expect(parser.appendChunk('"}')).toEqual({ a: 'x' });
+      expect(parser.getText()).toBe('{"a": "x');
+      expect(onLimitExceeded).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not keep raw input past the limit', () => {
+      const parser = createStreamingParser({ returnParsedJson: true, limits: { maxSize: 8 }, onLimitExceeded: () => {} });
+
+      parser.appendChunk('{"a": "xyz');
+      expect(parser.snapshot().rawInput).toBe('{"a": "x');
+
+      for (let i = 0; i < 20; i++) parser.appendChunk('y'.repeat(1000));
+      expect(parser.snapshot().rawInput).toHaveLength(8);
+      expect(parser.truncateTo(8)).toEqual({ a: 'x' });
+    });
+
+    test('should not complete a bare word held back by the repairer', () => {
+      const { result } = truncate("{'a': 1, 'b': tr", { maxKeys: 1 }, { repair: true });
+      expect(result.value).toEqual({ a: 1 });
+    });
+  });
+
+  describe('parsePartialJson', () => {
+    const source = (chunks, cancel) => new ReadableStream({
+      start(controller) {
+        chunks.forEach(chunk => controller.enqueue(chunk));
+      },
+      cancel
+    });
+
+    test('should reject and cancel the source past a limit', async () => {
+      const cancel = jest.fn();
+      const values = [];
+
+      await expect((async () => {
+        for await (const value of parsePartialJson(source(['[1, ', '2, 3'], cancel), { limits: { maxArrayLength: 2 } })) {
+          values.push(value);
+        }
+      })()).rejects.toBeInstanceOf(LimitExceededError);
+
+      expect(values).toEqual([[1]]);
+      expect(cancel).toHaveBeenCalled();
+    });
+
+    test('should end with the truncated value when onLimitExceeded is set', async () => {
+      const cancel = jest.fn();
+      const results = [];
+      const options = { limits: { maxArrayLength: 2 }, onLimitExceeded: () => {}, includeMetadata: true };
+
+      for await (const result of parsePartialJson(source(['[1, ', '2, 3', ']'], cancel), options)) {
+        results.push(result);
+      }
+
+      expect(results[results.length - 1]).toMatchObject({ value: [1, 2], isComplete: false, truncated: true });
+      expect(cancel).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const { createStreamingParser, StreamingJsonParser, applyPatch } = require('../src/index.ts');
+
+const fresh = (text, config) => createStreamingParser(config).appendChunk(text);
+
+const feed = (parser, text, size) => {
+  for (let i = 0; i < text.length; i += size) parser.appendChunk(text.slice(i, i + size));
+};
+
+// Long enough for the parser to save several rewind points
+const LONG = JSON.stringify({
+  items: Array.from({ length: 400 }, (_, id) => ({ id, title: `Item ${id} café 😀`, tags: ['a', 'b'], done: id % 2 === 0 }))
+});
+
+describe('Rewinding', () => {
+
+  test('should match a fresh parse of the kept text', () => {
+    const text = '{"title": "He said \\"hi\\" \\u00e9", "list": [1, 2.5, true, {"a": null}]}';
+    const config = { returnParsedJson: true, includeMetadata: true };
+
+    for (let offset = 0; offset <= text.length; offset++) {
+      const parser = createStreamingParser(config);
+      feed(parser, text, 7);
+      expect(parser.truncateTo(offset)).toEqual(fresh(text.slice(0, offset), config));
+    }
+  });
+
+  test('should rewind a long document and carry on appending', () => {
+    const config = { returnParsedJson: true };
+    const parser = createStreamingParser(config);
+    feed(parser, LONG, 50);
+
+    for (const offset of [LONG.length - 1, 20000, 9000, 4100, 10]) {
+      expect(parser.truncateTo(offset)).toEqual(fresh(LONG.slice(0, offset), config));
+    }
+
+    feed(parser, LONG.slice(10), 300);
+    expect(parser.getCurrentData()).toEqual(JSON.parse(LONG));
+  });
+
+  test('should replace a regenerated tail', () => {
+    const parser = createStreamingParser({ returnParsedJson: true });
+    parser.appendChunk('{"answer": "The capital is Lyon');
+
+    expect(parser.replaceFrom(27, 'Paris"}')).toEqual({ answer: 'The capital is Paris' });
+    expect(parser.getText()).toBe('{"answer": "The capital is Paris"}');
+  });
+
+  test('should count offsets in raw input before extraction and repair', () => {
+    const config = { returnParsedJson: true, extractJson: true, repair: true };
+    const raw = "Here you go:\n```json\n{name: 'Ada', tags: ['x', 'y',],}\n```";
+    const parser = createStreamingParser(config);
+    feed(parser, raw, 3);
+
+    expect(parser.truncateTo(45)).toEqual({ name: 'Ada', tags: ['x'] });
+    expect(parser.truncateTo(35)).toEqual(fresh(raw.slice(0, 35), config));
+    expect(parser.truncateTo(5)).toBeNull();
+  });
+
+  test('should reject offsets outside the input', () => {
+    const parser = createStreamingParser();
+    parser.appendChunk('[1, 2]');
+
+    expect(() => parser.truncateTo(7)).toThrow(RangeError);
+    expect(() => parser.truncateTo(-1)).toThrow('Offset -1 is outside the input received so far (0 to 6)');
+    expect(() => parser.truncateTo(1.5)).toThrow(RangeError);
+  });
+
+  test('should not repeat events for the kept text', () => {
+    const parser = createStreamingParser();
+    const events = [];
+    parser.on('fieldStart', path => events.push(['start', path]));
+    parser.on('value', (value, path) => events.push(['value', path, value]));
+
+    parser.appendChunk('{"a": 1, "b": [2, 3], "c": "x');
+    events.length = 0;
+
+    parser.replaceFrom(18, '4]}');
+    expect(events).toEqual([
+      ['start', '$.b[1]'],
+      ['value', '$.b[1]', 4],
+      ['value', '$.b', [2, 4]],
+      ['value', '$', { a: 1, b: [2, 4] }]
+    ]);
+  });
+
+  test('should bring patch listeners up to date', () => {
+    const parser = createStreamingParser();
+    let copy;
+    parser.on('patch', operations => { copy = applyPatch(copy, operations); });
+
+    feed(parser, LONG.slice(0, 15000), 40);
+    parser.truncateTo(9000);
+    expect(copy).toEqual(fresh(LONG.slice(0, 9000), { returnParsedJson: true }));
+
+    feed(parser, LONG.slice(9000), 40);
+    expect(copy).toEqual(JSON.parse(LONG));
+  });
+
+  test('should carry on streaming text without repeating it', () => {
+    const parser = createStreamingParser();
+    const deltas = [];
+    parser.on('text', '$.answer', delta => deltas.push(delta));
+
+    parser.appendChunk('{"answer": "Streaming is gre');
+    parser.truncateTo(25);
+    parser.appendChunk('fun"}');
+
+    // Delivered text is not taken back, and kept text is not sent again
+    expect(deltas).toEqual(['Streaming is gre', 'fun']);
+    expect(parser.getCurrentData()).toBe('{"answer": "Streaming is fun"}');
+  });
+
+  test('should lift a resource limit the kept text is within', () => {
+    const onLimitExceeded = jest.fn();
+    const parser = createStreamingParser({ returnParsedJson: true, limits: { maxArrayLength: 2 }, onLimitExceeded });
+
+    expect(parser.appendChunk('[1, 2, 3')).toEqual([1, 2]);
+    expect(parser.replaceFrom(5, ']')).toEqual([1, 2]);
+    expect(parser.getText()).toBe('[1, 2]');
+    expect(onLimitExceeded).toHaveBeenCalledTimes(1);
+  });
+
+  test('should rewind a parser restored from a checkpoint', () => {
+    const parser = createStreamingParser({ returnParsedJson: true });
+    feed(parser, LONG.slice(0, 12000), 100);
+
+    const restored = StreamingJsonParser.restore(JSON.parse(JSON.stringify(parser.snapshot())));
+    expect(restored.truncateTo(5000)).toEqual(fresh(LONG.slice(0, 5000), { returnParsedJson: true }));
+  });
+});
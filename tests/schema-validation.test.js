@@ -0,0 +1,242 @@
+const {
+  createStreamingParser,
+  parsePartialJson,
+  defineSchema,
+  fromZodSchema,
+  JsonParseError,
+  SchemaValidationError
+} = require('../src/index.ts');
+
+const userSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', maxLength: 10 },
+    role: { enum: ['admin', 'editor', 'viewer'] },
+    age: { type: 'integer', minimum: 0 },
+    tags: { type: 'array', items: { type: 'string' }, maxItems: 2 }
+  },
+  required: ['name', 'role'],
+  additionalProperties: false
+};
+
+const streamViolations = (chunks, config = {}) => {
+  const parser = createStreamingParser({ returnParsedJson: true, includeMetadata: true, schema: userSchema, ...config });
+  return chunks.map(chunk => parser.appendChunk(chunk).violations || []);
+};
+
+describe('Schema Validation', () => {
+
+  test('should accept partial values that can still become valid', () => {
+    const violations = streamViolations(['{"na', 'me": "Ad', 'a", "role": "ed', 'itor", "age": 3', '4, "tags": ["a"', ']}']);
+    violations.forEach(list => expect(list).toEqual([]));
+  });
+
+  test('should not require properties until the object is complete', () => {
+    const violations = streamViolations(['{"name": "Ada"', '}']);
+
+    expect(violations[0]).toEqual([]);
+    expect(violations[1]).toEqual([
+      { path: '', keyword: 'required', message: "Missing required property 'role'" }
+    ]);
+  });
+
+  test('should flag an unknown key as soon as it is read', () => {
+    const violations = streamViolations(['{"name": "Ada", "rank', '": 1']);
+
+    expect(violations[0]).toEqual([]);
+    expect(violations[1]).toEqual([
+      { path: '/rank', keyword: 'additionalProperties', message: "Unexpected property 'rank'" }
+    ]);
+  });
+
+  test('should accept a cut-off key that begins a known key', () => {
+    const violations = streamViolations(['{"ta'], { incompleteKeys: 'complete' });
+    expect(violations[0]).toEqual([]);
+  });
+
+  test('should flag an enum value once no option can match', () => {
+    const violations = streamViolations(['{"role": "ed', 'x']);
+
+    expect(violations[0]).toEqual([]);
+    expect(violations[1]).toEqual([
+      { path: '/role', keyword: 'enum', message: 'Expected one of "admin", "editor", "viewer"' }
+    ]);
+  });
+
+  test('should flag type mismatches while streaming', () => {
+    const violations = streamViolations(['{"age": "3']);
+    expect(violations[0]).toEqual([
+      { path: '/age', keyword: 'type', message: 'Expected integer, got string' }
+    ]);
+  });
+
+  test('should check limits that streaming can only make worse early', () => {
+    const violations = streamViolations(['{"name": "Bartholomew', ' the Third", "tags": ["a", "b", "c']);
+
+    expect(violations[0].map(violation => violation.keyword)).toEqual(['maxLength']);
+    expect(violations[1].map(violation => violation.keyword)).toEqual(['maxLength', 'maxItems']);
+  });
+
+  test('should leave number ranges until the number is complete', () => {
+    const violations = streamViolations(['{"age": -', '1', ', ']);
+
+    expect(violations[0]).toEqual([]);
+    expect(violations[1]).toEqual([]);
+    expect(violations[2].map(violation => violation.keyword)).toEqual(['minimum']);
+  });
+
+  test('should report each violation once to onDiagnostic', () => {
+    const onDiagnostic = jest.fn();
+    const parser = createStreamingParser({ returnParsedJson: true, schema: userSchema, onDiagnostic });
+
+    parser.appendChunk('{"name": "Ada", "rank": ');
+    parser.appendChunk('1, "role": ');
+    parser.appendChunk('"admin"}');
+
+    expect(onDiagnostic).toHaveBeenCalledTimes(1);
+    const error = onDiagnostic.mock.calls[0][0];
+    expect(error).toBeInstanceOf(SchemaValidationError);
+    expect(error).toBeInstanceOf(JsonParseError);
+    expect(error).toMatchObject({ keyword: 'additionalProperties', path: '/rank', offset: 24, line: 1, column: 25 });
+    expect(error.message).toBe("Unexpected property 'rank' (line 1, column 25)");
+  });
+
+  test('should throw the first violation in strict mode', () => {
+    const parser = createStreamingParser({ returnParsedJson: true, schema: userSchema, strict: true });
+
+    expect(parser.appendChunk('{"role": "vie')).toEqual({ role: 'vie' });
+    expect(() => parser.appendChunk('wer", "tags": [1')).toThrow(SchemaValidationError);
+  });
+
+  test('should forget reported violations on reset', () => {
+    const onDiagnostic = jest.fn();
+    const parser = createStreamingParser({ returnParsedJson: true, schema: userSchema, onDiagnostic });
+
+    parser.appendChunk('{"rank": 1');
+    parser.reset();
+    expect(parser.getViolations()).toEqual([]);
+    parser.appendChunk('{"rank": 1');
+
+    expect(onDiagnostic).toHaveBeenCalledTimes(2);
+  });
+
+  test('should match anyOf and oneOf branches', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        id: { anyOf: [{ type: 'string' }, { type: 'integer' }] },
+        shape: { oneOf: [{ const: 'circle' }, { const: 'square' }] }
+      }
+    };
+    const parser = createStreamingParser({ returnParsedJson: true, includeMetadata: true, schema });
+
+    expect(parser.appendChunk('{"id": 7, "shape": "c').violations).toBeUndefined();
+    expect(parser.appendChunk('ube"}').violations).toEqual([
+      { path: '/shape', keyword: 'oneOf', message: 'Does not match any allowed schema' }
+    ]);
+  });
+
+  test('should abort parsePartialJson on the first violation in strict mode', async () => {
+    const cancel = jest.fn();
+    const source = new ReadableStream({
+      start(controller) {
+        controller.enqueue('{"name": "Ada", ');
+        controller.enqueue('"role": "guest"');
+      },
+      cancel
+    });
+
+    const values = [];
+    await expect((async () => {
+      for await (const value of parsePartialJson(source, { schema: userSchema, strict: true })) {
+        values.push(value);
+      }
+    })()).rejects.toMatchObject({ keyword: 'enum', path: '/role' });
+
+    expect(values).toEqual([{ name: 'Ada' }]);
+    expect(cancel).toHaveBeenCalled();
+  });
+
+  test('should attach violations to the final parsePartialJson result', async () => {
+    async function* chunks() {
+      yield '{"name": "Ada"}';
+    }
+
+    const results = [];
+    for await (const result of parsePartialJson(chunks(), { schema: userSchema, includeMetadata: true })) {
+      results.push(result);
+    }
+
+    expect(results[results.length - 1].violations).toEqual([
+      { path: '', keyword: 'required', message: "Missing required property 'role'" }
+    ]);
+  });
+
+  test('should use a schema declared with defineSchema as it is', () => {
+    const schema = defineSchema({ type: 'object', properties: { id: { type: 'integer' } }, required: ['id'] });
+    const parser = createStreamingParser({ returnParsedJson: true, includeMetadata: true, schema });
+
+    expect(schema).toEqual({ type: 'object', properties: { id: { type: 'integer' } }, required: ['id'] });
+    expect(parser.appendChunk('{"id": 1.5}').violations).toEqual([
+      { path: '/id', keyword: 'type', message: 'Expected integer, got number' }
+    ]);
+  });
+
+  describe('fromZodSchema', () => {
+    // Minimal stand-ins for the definitions Zod attaches to its schemas
+    const zod3 = (typeName, def = {}) => ({ _def: { typeName, ...def } });
+    const zod4 = (type, def = {}) => ({ _zod: { def: { type, ...def } } });
+
+    test('should convert Zod 3 schemas', () => {
+      const schema = zod3('ZodObject', {
+        shape: () => ({
+          name: zod3('ZodString', { checks: [{ kind: 'max', value: 10 }] }),
+          age: zod3('ZodOptional', { innerType: zod3('ZodNumber', { checks: [{ kind: 'int' }, { kind: 'min', value: 0, inclusive: true }] }) }),
+          role: zod3('ZodEnum', { values: ['admin', 'viewer'] }),
+          tags: zod3('ZodArray', { type: zod3('ZodString'), maxLength: { value: 2 } }),
+          note: zod3('ZodNullable', { innerType: zod3('ZodString') })
+        }),
+        unknownKeys: 'strict'
+      });
+
+      expect(fromZodSchema(schema)).toEqual({
+        type: 'object',
+        properties: {
+          name: { type: 'string', maxLength: 10 },
+          age: { type: 'integer', minimum: 0 },
+          role: { enum: ['admin', 'viewer'] },
+          tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+          note: { anyOf: [{ type: 'string' }, { type: 'null' }] }
+        },
+        required: ['name', 'role', 'tags', 'note'],
+        additionalProperties: false
+      });
+    });
+
+    test('should convert Zod 4 schemas', () => {
+      const schema = zod4('object', {
+        shape: {
+          kind: zod4('literal', { values: ['point'] }),
+          at: zod4('array', { element: zod4('number') }),
+          label: zod4('default', { innerType: zod4('union', { options: [zod4('string'), zod4('boolean')] }) })
+        },
+        catchall: zod4('never')
+      });
+
+      expect(fromZodSchema(schema)).toEqual({
+        type: 'object',
+        properties: {
+          kind: { enum: ['point'] },
+          at: { type: 'array', items: { type: 'number' } },
+          label: { anyOf: [{ type: 'string' }, { type: 'boolean' }] }
+        },
+        required: ['kind', 'at'],
+        additionalProperties: false
+      });
+    });
+
+    test('should accept anything for unsupported Zod types', () => {
+      expect(fromZodSchema(zod3('ZodEffects'))).toEqual({});
+    });
+  });
+});
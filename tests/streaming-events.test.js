@@ -0,0 +1,177 @@
+const { createStreamingParser } = require('../src/index.ts');
+
+const CHUNKS = [
+  '{"message": "Hel',
+  'lo", "suggestions": [{"title": "A',
+  'sk"}, {"title": "Share", "tags": ["co',
+  'de"]}, {"tit',
+  'le": "Write"}], "count": 3',
+  ', "ready": true}'
+];
+
+describe('Streaming Events', () => {
+
+  test('should emit each array item as soon as it is complete', () => {
+    const parser = createStreamingParser({ returnParsedJson: true });
+    const items = [];
+    parser.on('itemComplete', '$.suggestions[*]', (value, path) => items.push({ value, path, chunk: received }));
+
+    let received = 0;
+    CHUNKS.forEach(chunk => {
+      received++;
+      parser.appendChunk(chunk);
+    });
+
+    expect(items).toEqual([
+      { value: { title: 'Ask' }, path: '$.suggestions[0]', chunk: 3 },
+      { value: { title: 'Share', tags: ['code'] }, path: '$.suggestions[1]', chunk: 4 },
+      { value: { title: 'Write' }, path: '$.suggestions[2]', chunk: 5 }
+    ]);
+  });
+
+  test('should emit completed values that match a pattern', () => {
+    const parser = createStreamingParser();
+    const values = [];
+    parser.on('value', '$.message', (value, path) => values.push([path, value]));
+    parser.on('value', '$..title', (value, path) => values.push([path, value]));
+
+    CHUNKS.forEach(chunk => parser.appendChunk(chunk));
+
+    expect(values).toEqual([
+      ['$.message', 'Hello'],
+      ['$.suggestions[0].title', 'Ask'],
+      ['$.suggestions[1].title', 'Share'],
+      ['$.suggestions[2].title', 'Write']
+    ]);
+  });
+
+  test('should emit numbers and literals once a delimiter follows them', () => {
+    const parser = createStreamingParser();
+    const values = [];
+    parser.on('value', '$.*', (value, path) => values.push([path, value]));
+
+    parser.appendChunk('{"count": 12');
+    expect(values).toEqual([]);
+
+    parser.appendChunk('3, "ready": tr');
+    expect(values).toEqual([['$.count', 123]]);
+
+    parser.appendChunk('ue}');
+    expect(values).toEqual([['$.count', 123], ['$.ready', true]]);
+  });
+
+  test('should end a number or literal at the root with the stream', () => {
+    const parser = createStreamingParser();
+    const events = [];
+    parser.on('value', (value, path) => events.push(['value', path, value]));
+    parser.on('end', value => events.push(['end', value]));
+
+    parser.appendChunk('4');
+    parser.appendChunk('2');
+    expect(events).toEqual([]);
+
+    parser.end();
+    parser.end();
+    expect(events).toEqual([['value', '$', 42], ['end', 42]]);
+
+    parser.reset();
+    parser.appendChunk(' true');
+    parser.end();
+    expect(events.slice(2)).toEqual([['value', '$', true], ['end', true]]);
+  });
+
+  test('should end a repaired word at the root with the stream', () => {
+    const parser = createStreamingParser({ repair: true });
+    const values = [];
+    parser.on('value', (value, path) => values.push([path, value]));
+
+    parser.appendChunk('True');
+    expect(values).toEqual([]);
+
+    parser.end();
+    expect(values).toEqual([['$', true]]);
+    expect(parser.getText()).toBe('true');
+  });
+
+  test('should not end a cut-off number inside a container with the stream', () => {
+    const parser = createStreamingParser();
+    const values = [];
+    parser.on('value', (value, path) => values.push([path, value]));
+
+    parser.appendChunk('[1, 2');
+    parser.end();
+    expect(values).toEqual([['$[0]', 1]]);
+  });
+
+  test('should emit fieldStart when a value begins streaming', () => {
+    const parser = createStreamingParser();
+    const started = [];
+    parser.on('fieldStart', '$.suggestions[*].title', path => started.push(path));
+
+    parser.appendChunk(CHUNKS[0]);
+    parser.appendChunk(CHUNKS[1]);
+    expect(started).toEqual(['$.suggestions[0].title']);
+  });
+
+  test('should emit end with the root value', () => {
+    const parser = createStreamingParser();
+    const ends = [];
+    parser.on('end', value => ends.push(value));
+
+    CHUNKS.slice(0, -1).forEach(chunk => parser.appendChunk(chunk));
+    expect(ends).toEqual([]);
+
+    parser.appendChunk(CHUNKS[CHUNKS.length - 1]);
+    expect(ends).toHaveLength(1);
+    expect(ends[0].count).toBe(3);
+    expect(ends[0].suggestions).toHaveLength(3);
+  });
+
+  test('should match every path when no pattern is given', () => {
+    const parser = createStreamingParser();
+    const paths = [];
+    parser.on('value', (value, path) => paths.push(path));
+
+    parser.appendChunk('{"a": [1, {"b": "c"}]}');
+    expect(paths).toEqual(['$.a[0]', '$.a[1].b', '$.a[1]', '$.a', '$']);
+  });
+
+  test('should support bracket notation for unusual keys', () => {
+    const parser = createStreamingParser();
+    const values = [];
+    parser.on('value', '$["odd key"]["a.b"]', value => values.push(value));
+
+    parser.appendChunk('{"odd key": {"a.b": 1, "c": 2}}');
+    expect(values).toEqual([1]);
+  });
+
+  test('should stop delivering events after off()', () => {
+    const parser = createStreamingParser();
+    const listener = jest.fn();
+    parser.on('itemComplete', listener);
+
+    parser.appendChunk('[1, 2,');
+    parser.off('itemComplete', listener);
+    parser.appendChunk(' 3]');
+
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  test('should keep listeners across reset', () => {
+    const parser = createStreamingParser();
+    const ends = [];
+    parser.on('end', value => ends.push(value));
+
+    parser.appendChunk('{"first": 1}');
+    parser.reset();
+    parser.appendChunk('{"second": 2}');
+
+    expect(ends).toEqual([{ first: 1 }, { second: 2 }]);
+  });
+
+  test('should reject invalid path patterns', () => {
+    const parser = createStreamingParser();
+    expect(() => parser.on('value', 'items[*]', () => {})).toThrow('Invalid JSONPath pattern');
+    expect(() => parser.on('value', '$.items[', () => {})).toThrow('Invalid JSONPath pattern');
+  });
+});
@@ -153,11 +153,14 @@ describe('Working Streaming Functionality Tests', () => {
       const originalWarn = console.warn;
       console.warn = jest.fn();
       
-      const parser = createStreamingParser({ returnParsedJson: true });
+      const onDiagnostic = jest.fn();
+      const parser = createStreamingParser({ returnParsedJson: true, onDiagnostic });
       const result = parser.appendChunk('{"invalid": invalid_value');
       
       expect(typeof result).toBe('string');
-      expect(console.warn).toHaveBeenCalled();
+      expect(onDiagnostic).toHaveBeenCalled();
+      // The payload may hold user data, so nothing is logged
+      expect(console.warn).not.toHaveBeenCalled();
       
       console.warn = originalWarn;
     });
@@ -0,0 +1,178 @@
+const { createStreamingParser } = require('../src/index.ts');
+
+const collect = (parser, pattern) => {
+  const deltas = [];
+  parser.on('text', pattern, (delta, path, done) => deltas.push([path, delta, done]));
+  return deltas;
+};
+
+describe('Text Deltas', () => {
+
+  test('should pass on only the newly appended characters', () => {
+    const parser = createStreamingParser({ returnParsedJson: true });
+    const deltas = collect(parser, '$.answer');
+
+    parser.appendChunk('{"title": "Hi", "answer": "Stream');
+    expect(deltas).toEqual([['$.answer', 'Stream', false]]);
+
+    parser.appendChunk('ing JSON is ');
+    parser.appendChunk('great", "n": 1}');
+
+    expect(deltas).toEqual([
+      ['$.answer', 'Stream', false],
+      ['$.answer', 'ing JSON is ', false],
+      ['$.answer', 'great', true]
+    ]);
+  });
+
+  test('should signal the end of a string with an empty delta when nothing is left', () => {
+    const parser = createStreamingParser();
+    const deltas = collect(parser, '$.answer');
+
+    parser.appendChunk('{"answer": "Done');
+    parser.appendChunk('"}');
+
+    expect(deltas).toEqual([['$.answer', 'Done', false], ['$.answer', '', true]]);
+  });
+
+  test('should decode escapes and hold back partial ones', () => {
+    const parser = createStreamingParser();
+    const deltas = collect(parser, '$.answer');
+
+    ['{"answer": "line\\', 'nnext caf\\u00', 'e9 \\ud83d', '\\ude00 \\"q\\"', '"}'].forEach(chunk => parser.appendChunk(chunk));
+
+    expect(deltas).toEqual([
+      ['$.answer', 'line', false],
+      ['$.answer', '\nnext caf', false],
+      ['$.answer', 'é ', false],
+      ['$.answer', '😀 "q"', false],
+      ['$.answer', '', true]
+    ]);
+  });
+
+  test('should rebuild the string one character at a time', () => {
+    const text = '{"answer": "a\\\\b \\u00e9\\ud83d\\ude00\\t end", "other": "x"}';
+    const parser = createStreamingParser();
+    const deltas = collect(parser, '$.answer');
+
+    for (const char of text) parser.appendChunk(char);
+
+    expect(deltas.map(([, delta]) => delta).join('')).toBe(JSON.parse(text).answer);
+    expect(deltas.filter(([, , done]) => done)).toHaveLength(1);
+  });
+
+  test('should stream each string that matches a pattern', () => {
+    const parser = createStreamingParser();
+    const deltas = collect(parser, '$.items[*].text');
+
+    parser.appendChunk('{"items": [{"id": "a", "text": "One');
+    parser.appendChunk(' two"}, {"text": "Thr');
+    parser.appendChunk('ee"}]}');
+
+    expect(deltas).toEqual([
+      ['$.items[0].text', 'One', false],
+      ['$.items[0].text', ' two', true],
+      ['$.items[1].text', 'Thr', false],
+      ['$.items[1].text', 'ee', true]
+    ]);
+  });
+
+  test('should ignore keys, other types and other paths', () => {
+    const parser = createStreamingParser();
+    const deltas = collect(parser, '$.*');
+
+    parser.appendChunk('{"answer": 12, "list": ["x"], "note": {"answer": "y"}}');
+
+    expect(deltas).toEqual([]);
+  });
+
+  test('should stream every string without a pattern', () => {
+    const parser = createStreamingParser();
+    const deltas = [];
+    parser.on('text', (delta, path, done) => deltas.push([path, delta, done]));
+
+    parser.appendChunk('["a", {"b": "c');
+
+    expect(deltas).toEqual([['$[0]', 'a', true], ['$[1].b', 'c', false]]);
+  });
+
+  test('should stream single-quoted strings once repaired', () => {
+    const parser = createStreamingParser({ repairJson: true });
+    const deltas = collect(parser, '$.answer');
+
+    parser.appendChunk("{'answer': 'It\\'s \"fine");
+    parser.appendChunk("\"'}");
+
+    expect(deltas).toEqual([['$.answer', 'It\'s "fine', false], ['$.answer', '"', true]]);
+  });
+
+  test('should stream text from JSON extracted out of prose', () => {
+    const parser = createStreamingParser({ extractJson: true });
+    const deltas = collect(parser, '$.answer');
+
+    parser.appendChunk('Sure! ```json\n{"answer": "Hel');
+    parser.appendChunk('lo"}\n```');
+
+    expect(deltas).toEqual([['$.answer', 'Hel', false], ['$.answer', 'lo', true]]);
+  });
+
+  test('should drop a string in progress on reset', () => {
+    const parser = createStreamingParser();
+    const deltas = collect(parser, '$.answer');
+
+    parser.appendChunk('{"answer": "Old');
+    parser.reset();
+    parser.appendChunk('{"answer": "New"}');
+
+    expect(deltas).toEqual([['$.answer', 'Old', false], ['$.answer', 'New', true]]);
+  });
+
+  test('should start a listener added mid-string with the text so far', () => {
+    const parser = createStreamingParser();
+    parser.appendChunk('{"answer": "Hello, w');
+    const deltas = collect(parser, '$.answer');
+    expect(deltas).toEqual([]);
+
+    parser.appendChunk('orld');
+    parser.appendChunk('!"}');
+
+    expect(deltas).toEqual([['$.answer', 'Hello, world', false], ['$.answer', '!', true]]);
+  });
+
+  test('should catch up a listener joining another one mid-string', () => {
+    const parser = createStreamingParser();
+    const first = collect(parser, '$.answer');
+    parser.appendChunk('{"answer": "caf\\u00');
+    parser.appendChunk('e9 au');
+    const second = collect(parser, '$..answer');
+
+    parser.appendChunk(' lait"}');
+
+    expect(first).toEqual([['$.answer', 'caf', false], ['$.answer', 'é au', false], ['$.answer', ' lait', true]]);
+    expect(second).toEqual([['$.answer', 'café au lait', true]]);
+  });
+
+  test('should not catch up a listener for another path or a key', () => {
+    const parser = createStreamingParser();
+    parser.appendChunk('{"answer": "x", "other": "y');
+    const other = collect(parser, '$.answer');
+    parser.appendChunk('", "ans');
+    const key = collect(parser, '$.ans');
+    parser.appendChunk('": "z"}');
+
+    expect(other).toEqual([]);
+    expect(key).toEqual([['$.ans', 'z', true]]);
+  });
+
+  test('should stop delivering after off', () => {
+    const parser = createStreamingParser();
+    const listener = jest.fn();
+    parser.on('text', '$.answer', listener);
+
+    parser.appendChunk('{"answer": "a');
+    parser.off('text', listener);
+    parser.appendChunk('b"}');
+
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+});
@@ -89,8 +89,7 @@ describe('validateStreamingJson - Core Functionality', () => {
     test('should handle escaped quotes', () => {
       const input = '{"text": "He said \\"Hello\\';
       const result = validateStreamingJson(input);
-      expect(result).toBe('{"text": "He said \\"Hello\\"null}');
-      // Note: This specific result isn't valid JSON due to implementation behavior
+      expect(result).toBe('{"text": "He said \\"Hello"}');
     });
   });
 
@@ -111,6 +110,147 @@ describe('validateStreamingJson - Core Functionality', () => {
     });
   });
 
+  describe('Truncated Literals and Numbers', () => {
+    test('should complete partial true, false and null literals', () => {
+      const testCases = [
+        { input: '{"ok": t', expected: '{"ok": true}' },
+        { input: '{"ok": tru', expected: '{"ok": true}' },
+        { input: '{"ok": fals', expected: '{"ok": false}' },
+        { input: '{"value": nu', expected: '{"value": null}' },
+        { input: '[true, f', expected: '[true, false]' }
+      ];
+
+      testCases.forEach(({ input, expected }) => {
+        const result = validateStreamingJson(input);
+        expect(result).toBe(expected);
+        expect(() => JSON.parse(result)).not.toThrow();
+      });
+    });
+
+    test('should complete numbers that stop before a required digit', () => {
+      const testCases = [
+        { input: '{"x": 1.', expected: '{"x": 1.0}', value: 1 },
+        { input: '{"y": 2e+', expected: '{"y": 2e+0}', value: 2 },
+        { input: '{"z": -3.5E', expected: '{"z": -3.5E0}', value: -3.5 }
+      ];
+
+      testCases.forEach(({ input, expected, value }) => {
+        const result = validateStreamingJson(input);
+        expect(result).toBe(expected);
+        expect(Object.values(JSON.parse(result))[0]).toBe(value);
+      });
+    });
+
+    test('should drop a lone minus sign', () => {
+      expect(validateStreamingJson('{"n": -')).toBe('{"n": null}');
+      expect(validateStreamingJson('[1, -')).toBe('[1 ]');
+      expect(validateStreamingJson('[-')).toBe('[]');
+    });
+
+    test('should leave complete and unknown tokens untouched', () => {
+      expect(validateStreamingJson('{"n": 12')).toBe('{"n": 12}');
+      expect(validateStreamingJson('{"ok": true')).toBe('{"ok": true}');
+      expect(validateStreamingJson('{"bad": invalid')).toBe('{"bad": invalid}');
+    });
+
+    test('should not treat string contents as literals', () => {
+      expect(validateStreamingJson('{"word": "tru')).toBe('{"word": "tru"}');
+    });
+
+    test('should parse every prefix of an array of scalars', () => {
+      const document = '[true, false, null, -12.5e+3, 0, -0.25, 1E-7, "text", [nul';
+
+      for (let length = 2; length <= document.length; length++) {
+        const result = validateStreamingJson(document.slice(0, length), { returnParsedJson: true });
+        expect(typeof result).toBe('object');
+      }
+    });
+  });
+
+  describe('Incomplete Object Keys', () => {
+    test('should drop a key cut off inside its quotes', () => {
+      const input = '{"name": "a", "ag';
+      const result = validateStreamingJson(input);
+      expect(result).toBe('{"name": "a" }');
+      expect(JSON.parse(result)).toEqual({ name: 'a' });
+    });
+
+    test('should drop a key cut off before its colon', () => {
+      expect(validateStreamingJson('{"name": "a", "age"')).toBe('{"name": "a" }');
+      expect(validateStreamingJson('{"name": "a", "age"  ')).toBe('{"name": "a" }');
+      expect(validateStreamingJson('{"user": {"na')).toBe('{"user": {}}');
+    });
+
+    test('should complete a dangling key with a placeholder value when configured', () => {
+      const config = { incompleteKeys: 'complete' };
+      expect(validateStreamingJson('{"name": "a", "ag', config)).toBe('{"name": "a", "ag":null}');
+      expect(validateStreamingJson('{"name": "a", "age"', config)).toBe('{"name": "a", "age":null}');
+      expect(validateStreamingJson('[{"id', config)).toBe('[{"id":null}]');
+    });
+
+    test('should treat strings after a colon or inside arrays as values', () => {
+      expect(validateStreamingJson('{"tags": ["a", "b')).toBe('{"tags": ["a", "b"]}');
+      expect(validateStreamingJson('{"a": {"b": 1}, "c": "d')).toBe('{"a": {"b": 1}, "c": "d"}');
+    });
+  });
+
+  describe('Placeholder Values', () => {
+    test('should keep null as the placeholder when nothing is known about the value', () => {
+      const result = validateStreamingJson('{"name": "test", "value":', {
+        dummyValues: { string: 'loading...', number: 0 }
+      });
+      expect(result).toBe('{"name": "test", "value":null}');
+    });
+
+    test('should use dummyValues for the hinted type', () => {
+      const config = {
+        typeHints: { '$.user.name': 'string', '$.user.age': 'number', '$.user.active': 'boolean' },
+        dummyValues: { string: 'loading...', number: -1 }
+      };
+
+      expect(validateStreamingJson('{"user": {"name":', config)).toBe('{"user": {"name":"loading..."}}');
+      expect(validateStreamingJson('{"user": {"age":', config)).toBe('{"user": {"age":-1}}');
+      expect(validateStreamingJson('{"user": {"active":', config)).toBe('{"user": {"active":false}}');
+    });
+
+    test('should use a string dummy value given as JSON text as written', () => {
+      const config = { typeHints: { '$.name': 'string' } };
+
+      expect(validateStreamingJson('{"name":', config)).toBe('{"name":""}');
+      expect(validateStreamingJson('{"name":', { ...config, dummyValues: { string: '""' } })).toBe('{"name":""}');
+      expect(validateStreamingJson('{"name":', { ...config, dummyValues: { string: '"n/a"' } })).toBe('{"name":"n/a"}');
+      expect(validateStreamingJson('{"name":', { ...config, dummyValues: { string: '"n/a' } })).toBe('{"name":"\\"n/a"}');
+      expect(validateStreamingJson('{"name":', { ...config, dummyValues: { string: '' } })).toBe('{"name":""}');
+    });
+
+    test('should infer the type from the same key in earlier array elements', () => {
+      const input = '{"items": [{"id": 1, "label": "a", "tags": []}, {"id": 2, "label":';
+      const result = validateStreamingJson(input, { returnParsedJson: true });
+      expect(result.items[1]).toEqual({ id: 2, label: '' });
+
+      const tags = validateStreamingJson('[{"tags": ["x"]}, {"tags":', { returnParsedJson: true });
+      expect(tags[1]).toEqual({ tags: [] });
+    });
+
+    test('should prefer a per-path placeholder over any inferred type', () => {
+      const config = {
+        placeholders: { '$.user.name': '…', '$["odd key"]': { pending: true } },
+        typeHints: { '$.user.name': 'number' }
+      };
+
+      expect(validateStreamingJson('{"user": {"name":', config)).toBe('{"user": {"name":"…"}}');
+      expect(validateStreamingJson('{"odd key":', config)).toBe('{"odd key":{"pending":true}}');
+    });
+
+    test('should use placeholders for completed dangling keys', () => {
+      const result = validateStreamingJson('{"user": {"na', {
+        incompleteKeys: 'complete',
+        placeholders: { '$.user.na': '…' }
+      });
+      expect(result).toBe('{"user": {"na":"…"}}');
+    });
+  });
+
   describe('Configuration Options', () => {
     test('should return string by default (backward compatibility)', () => {
       const input = '{"test": true';
@@ -0,0 +1,157 @@
+const {
+  createStreamingParser,
+  IncompleteJsonError,
+  LimitExceededError,
+  StreamingJsonParser
+} = require('../src/index.ts');
+
+/**
+ * Tracks whether a promise has settled yet
+ */
+const track = promise => {
+  const state = { settled: false };
+  promise.then(
+    value => Object.assign(state, { settled: true, value }),
+    error => Object.assign(state, { settled: true, error })
+  );
+  return state;
+};
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('whenComplete', () => {
+
+  test('should resolve as soon as the value is closed', async () => {
+    const parser = createStreamingParser({ returnParsedJson: true });
+    const intent = track(parser.whenComplete('$.intent'));
+
+    parser.appendChunk('{"intent": "book_fl');
+    await flush();
+    expect(intent.settled).toBe(false);
+
+    parser.appendChunk('ight", "details": {"from": "Paris", "to": "Ly');
+    await flush();
+    expect(intent).toEqual({ settled: true, value: 'book_flight' });
+  });
+
+  test('should wait for the delimiter after a number or literal', async () => {
+    const parser = createStreamingParser();
+    const count = track(parser.whenComplete('$.count'));
+    const done = track(parser.whenComplete('$.done'));
+
+    parser.appendChunk('{"count": 12, "done": tr');
+    await flush();
+    expect(count).toEqual({ settled: true, value: 12 });
+    expect(done.settled).toBe(false);
+
+    parser.appendChunk('ue');
+    await flush();
+    expect(done.settled).toBe(false);
+
+    parser.appendChunk('}');
+    await expect(parser.whenComplete('$.done')).resolves.toBe(true);
+    expect(done).toEqual({ settled: true, value: true });
+  });
+
+  test('should resolve with containers and the first match of a pattern', async () => {
+    const parser = createStreamingParser();
+    const tool = parser.whenComplete('$.tool_calls[0]');
+    const firstName = parser.whenComplete('$..name');
+
+    parser.appendChunk('{"tool_calls": [{"name": "search", "args": {"q": "x"}}, {"name": "fetch"');
+
+    await expect(tool).resolves.toEqual({ name: 'search', args: { q: 'x' } });
+    await expect(firstName).resolves.toBe('search');
+  });
+
+  test('should resolve at once with a value already received', async () => {
+    const parser = createStreamingParser({ extractJson: true, repair: true });
+    parser.appendChunk("Routing: {'intent': 'refund', 'items': [1");
+
+    await expect(parser.whenComplete('$.intent')).resolves.toBe('refund');
+  });
+
+  test('should reject when the document ends without the value', async () => {
+    const parser = createStreamingParser();
+    const missing = parser.whenComplete('$.intent');
+
+    parser.appendChunk('{"answer": 42}');
+    await expect(missing).rejects.toThrow(IncompleteJsonError);
+    await expect(missing).rejects.toThrow('Document ended before $.intent was complete');
+    await expect(parser.whenComplete('$.other')).rejects.toThrow('Document ended before $.other was complete');
+  });
+
+  test('should reject when the stream ends or the parser is reset', async () => {
+    const parser = createStreamingParser();
+    parser.appendChunk('{"intent": "re');
+
+    const ended = parser.whenComplete('$.intent');
+    parser.end();
+    await expect(ended).rejects.toThrow('Stream ended before $.intent was complete (line 1, column 15)');
+
+    const reset = parser.whenComplete('$.intent');
+    parser.reset();
+    await expect(reset).rejects.toThrow(IncompleteJsonError);
+  });
+
+  test('should resolve a number or literal at the root when the stream ends', async () => {
+    const parser = createStreamingParser();
+    const number = track(parser.whenComplete('$'));
+
+    parser.appendChunk('4');
+    parser.appendChunk('2');
+    await flush();
+    expect(number.settled).toBe(false);
+
+    parser.end();
+    await flush();
+    expect(number).toEqual({ settled: true, value: 42 });
+    await expect(parser.whenComplete('$')).resolves.toBe(42);
+
+    parser.reset();
+    const literal = parser.whenComplete('$');
+    parser.appendChunk('true');
+    parser.end();
+    await expect(literal).resolves.toBe(true);
+  });
+
+  test('should reject values asked for after the stream ended', async () => {
+    const parser = createStreamingParser();
+    parser.appendChunk('{"a": 1, "b": 2');
+    parser.end();
+
+    await expect(parser.whenComplete('$.a')).resolves.toBe(1);
+    await expect(parser.whenComplete('$.b')).rejects.toThrow('Stream ended before $.b was complete');
+  });
+
+  test('should reject with the error of a resource limit', async () => {
+    const parser = createStreamingParser({ limits: { maxStringLength: 3 }, onLimitExceeded: () => {} });
+    const pending = parser.whenComplete('$.intent');
+
+    parser.appendChunk('{"intent": "refund"}');
+    await expect(pending).rejects.toBeInstanceOf(LimitExceededError);
+    await expect(parser.whenComplete('$.intent')).rejects.toBeInstanceOf(LimitExceededError);
+  });
+
+  test('should keep waiting across a rewind', async () => {
+    const parser = createStreamingParser();
+    parser.appendChunk('{"a": 1, "intent": "ca');
+    const intent = parser.whenComplete('$.intent');
+
+    parser.replaceFrom(20, 'refund"');
+    await expect(intent).resolves.toBe('refund');
+  });
+
+  test('should not be carried over into a checkpoint', async () => {
+    const parser = createStreamingParser();
+    parser.appendChunk('{"intent": "x');
+    const original = track(parser.whenComplete('$.intent'));
+
+    const restored = StreamingJsonParser.restore(parser.snapshot());
+    const intent = restored.whenComplete('$.intent');
+    restored.appendChunk('yz"}');
+
+    await expect(intent).resolves.toBe('xyz');
+    expect(original.settled).toBe(false);
+  });
+});